@@ -1,15 +1,70 @@
 /* eslint no-shadow: 0 */
+import r from 'rethinkdb';
+import Joi from 'joi';
 import _ from 'lodash';
+import fs from 'fs';
+import path from 'path';
+import assert from 'assert';
 import _Table from './Table';
+import Pool from './Pool';
+import Loader from './Loader';
 import mapSeries from 'promise-map-series';
 const debug = require('debug')('nothinkdb:Environment');
 
 
+function loadMigrations(directory) {
+  return _.chain(fs.readdirSync(directory))
+    .filter(fileName => path.extname(fileName) === '.js')
+    .sortBy()
+    .map(fileName => {
+      const module = require(path.join(directory, fileName)); // eslint-disable-line global-require
+      return {
+        name: path.basename(fileName, '.js'),
+        ...(module.default || module),
+      };
+    })
+    .value();
+}
+
+function mapLimit(items, limit, iteratee) {
+  const results = [];
+  let nextIndex = 0;
+  const next = () => {
+    if (nextIndex >= items.length) return Promise.resolve();
+    const index = nextIndex;
+    nextIndex += 1;
+    return Promise.resolve(iteratee(items[index]))
+      .then(result => { results[index] = result; })
+      .then(next);
+  };
+  return Promise.all(_.times(Math.min(limit, items.length), next)).then(() => results);
+}
+
+// sync() or sync(options) runs with a connection of the pool.
+function isConnection(connection) {
+  return !!connection && !_.isPlainObject(connection);
+}
+
 export default class Environment {
   constructor(options = {}) {
-    const { Table = _Table } = options;
+    const {
+      Table = _Table,
+      db,
+      pool,
+      migrations = [],
+      migrationTableName = '_migrations',
+      indexTableName,
+    } = options;
     this.Table = Table;
+    this.db = db;
+    this.pool = pool ? new Pool(pool) : null;
     this.tables = {};
+    this.migrations = [];
+    this.migrationTableName = migrationTableName;
+    this.indexTableName = indexTableName;
+
+    const migrationList = _.isString(migrations) ? loadMigrations(migrations) : migrations;
+    _.each(migrationList, migration => this.addMigration(migration));
   }
 
   init() {
@@ -24,11 +79,39 @@ export default class Environment {
       return this.getTable(tableName);
     }
 
-    const table = new this.Table(options);
+    const table = new this.Table(_.omitBy({
+      db: this.db,
+      pool: this.pool,
+      indexTableName: this.indexTableName,
+      ...options,
+    }, _.isNil));
     this.tables[tableName] = table;
     return table;
   }
 
+  run(query, options) {
+    assert.ok(this.pool, 'Environment has no connection pool.');
+    return this.pool.run(query, options);
+  }
+
+  async withConnection(callback) {
+    assert.ok(this.pool, 'Environment has no connection pool.');
+    const connection = await this.pool.acquire();
+    try {
+      return await callback(connection);
+    } finally {
+      this.pool.release(connection);
+    }
+  }
+
+  createLoader(options = {}) {
+    return new Loader({ ...options, env: this });
+  }
+
+  async drain() {
+    if (this.pool) await this.pool.drain();
+  }
+
   getTable(tableName) {
     return this.tables[tableName];
   }
@@ -41,9 +124,146 @@ export default class Environment {
     return _.values(this.tables);
   }
 
-  async sync(connection) {
-    await mapSeries(_.values(this.tables), async table => {
-      await table.sync(connection);
+  async sync(connection, options = {}) {
+    if (!isConnection(connection)) {
+      return await this.withConnection(pooled => this.sync(pooled, connection || options));
+    }
+    const diffs = options.parallel ?
+      await this.syncParallel(connection, options) :
+      await mapSeries(_.values(this.tables), table => table.sync(connection, options));
+    return _.zipObject(_.keys(this.tables), diffs);
+  }
+
+  async syncParallel(connection, options = {}) {
+    const { concurrency, onProgress } = Joi.attempt(options, Joi.object({
+      concurrency: Joi.number().integer().min(1).default(10),
+      onProgress: Joi.func().default(_.noop, 'noop'),
+    }).unknown());
+    const tables = _.values(this.tables);
+    const runStep = (step, iteratee) => {
+      let completed = 0;
+      return mapLimit(tables, concurrency, async table => {
+        const result = await iteratee(table);
+        completed += 1;
+        onProgress({ step, tableName: table.tableName, completed, total: tables.length });
+        return result;
+      });
+    };
+
+    // databases and index tables are shared by tables, so they are ensured first and once.
+    await mapSeries(_.uniqBy(tables, 'db'), async table => {
+      await table.ensureDb(connection);
+      await table.ensureIndexTable(connection);
+    });
+    await runStep('createTable', async table => {
+      await table.ensureTable(connection);
+      await table.ensureConfig(connection);
     });
+    const diffs = await runStep('createIndexes', table => {
+      return table.ensureAllIndexes(connection, { ...options, wait: false });
+    });
+    await runStep('waitIndexes', table => table.waitIndexes(connection));
+    return diffs;
+  }
+
+  async plan(connection, options = {}) {
+    if (!isConnection(connection)) {
+      return await this.withConnection(pooled => this.plan(pooled, connection || options));
+    }
+    const plans = await mapSeries(_.values(this.tables), table => table.plan(connection, options));
+    return _.zipObject(_.keys(this.tables), plans);
+  }
+
+  addMigration(migration) {
+    const { name, up, down } = migration;
+    assert.ok(_.isString(name), 'Migration name should be a string.');
+    assert.ok(_.isFunction(up), `Migration '${name}' should have up function.`);
+    assert.ok(_.isUndefined(down) || _.isFunction(down), `Migration '${name}' has invalid down function.`);
+    assert.ok(!this.hasMigration(name), `Migration '${name}' is already defined.`);
+    this.migrations.push({ name, up, down });
+    return this;
+  }
+
+  hasMigration(name) {
+    return _.some(this.migrations, { name });
+  }
+
+  getMigration(name) {
+    const migration = _.find(this.migrations, { name });
+    assert.ok(migration, `Migration '${name}' is not exist.`);
+    return migration;
+  }
+
+  getDb() {
+    return this.db ? r.db(this.db) : r;
+  }
+
+  async ensureMigrationTable(connection) {
+    if (this.db) {
+      await r.branch(r.dbList().contains(this.db).not(), r.dbCreate(this.db), null).run(connection);
+    }
+    await r.branch(
+      this.getDb().tableList().contains(this.migrationTableName).not(),
+      this.getDb().tableCreate(this.migrationTableName),
+      null
+    ).run(connection);
+  }
+
+  async getMigrated(connection) {
+    await this.ensureMigrationTable(connection);
+    const migratedNames = await this.getDb().table(this.migrationTableName)('id')
+      .coerceTo('array')
+      .run(connection);
+    return _.filter(this.migrations, ({ name }) => _.includes(migratedNames, name));
+  }
+
+  async migrate(connection, options = {}) {
+    if (!isConnection(connection)) {
+      return await this.withConnection(pooled => this.migrate(pooled, connection || options));
+    }
+    const { to = _.get(_.last(this.migrations), 'name') } = options;
+    if (_.isUndefined(to)) return [];
+
+    const targetIndex = _.findIndex(this.migrations, { name: this.getMigration(to).name });
+    const migrated = await this.getMigrated(connection);
+
+    // migrations after the target are rolled back first.
+    const rollbacks = _.filter(migrated, migration => this.migrations.indexOf(migration) > targetIndex);
+    await this.rollback(connection, { step: rollbacks.length });
+
+    const pending = _.chain(this.migrations)
+      .take(targetIndex + 1)
+      .difference(migrated)
+      .value();
+
+    await mapSeries(pending, async ({ name, up }) => {
+      debug(`migrate ${this.db || connection.db}.${name}...`);
+      await up(connection, this.tables);
+      await this.getDb().table(this.migrationTableName)
+        .insert({ id: name, migratedAt: r.now() })
+        .run(connection);
+      debug(`[done] migrate ${this.db || connection.db}.${name}`);
+    });
+
+    return _.map(pending, 'name');
+  }
+
+  async rollback(connection, options = {}) {
+    if (!isConnection(connection)) {
+      return await this.withConnection(pooled => this.rollback(pooled, connection || options));
+    }
+    const { step = 1 } = options;
+    const migrated = await this.getMigrated(connection);
+    const rollbacks = _.takeRight(migrated, step).reverse();
+
+    await mapSeries(rollbacks, async ({ name, down }) => {
+      assert.ok(down, `Migration '${name}' could not be rolled back.`);
+      debug(`rollback ${this.db || connection.db}.${name}...`);
+      await down(connection, this.tables);
+      await this.getDb().table(this.migrationTableName).get(name).delete().run(connection);
+      debug(`[done] rollback ${this.db || connection.db}.${name}`);
+    });
+
+    return _.map(rollbacks, 'name');
   }
 }
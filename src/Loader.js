@@ -0,0 +1,161 @@
+import r from 'rethinkdb';
+import _ from 'lodash';
+import assert from 'assert';
+
+
+export default class Loader {
+  constructor(options = {}) {
+    const { env, connection } = options;
+    assert.ok(env, 'Loader needs environment.');
+    assert.ok(connection || env.pool, 'Loader needs connection or connection pool of environment.');
+    this.env = env;
+    this.connection = connection;
+    this.batches = {};
+    this.cache = {};
+  }
+
+  run(query) {
+    return this.connection ? query.run(this.connection) : this.env.run(query);
+  }
+
+  getTable(tableOrName) {
+    const table = _.isString(tableOrName) ? this.env.getTable(tableOrName) : tableOrName;
+    assert.ok(table, `Table '${tableOrName}' is not exist.`);
+    return table;
+  }
+
+  load(batchKey, key, batchFn) {
+    let batch = this.batches[batchKey];
+    if (!batch) {
+      batch = { keys: [], callbacks: [], batchFn };
+      this.batches[batchKey] = batch;
+      // wait for the other calls of same tick, including ones chained on resolved promises.
+      Promise.resolve().then(() => process.nextTick(() => this.dispatch(batchKey)));
+    }
+    return new Promise((resolve, reject) => {
+      batch.keys.push(key);
+      batch.callbacks.push({ resolve, reject });
+    });
+  }
+
+  dispatch(batchKey) {
+    const { keys, callbacks, batchFn } = this.batches[batchKey];
+    delete this.batches[batchKey];
+    const uniqKeys = _.uniq(keys);
+
+    Promise.resolve()
+      .then(() => batchFn(uniqKeys))
+      .then(values => {
+        _.each(keys, (key, i) => callbacks[i].resolve(values[uniqKeys.indexOf(key)]));
+      }, error => {
+        _.each(callbacks, callback => callback.reject(error));
+      });
+  }
+
+  cached(cacheKey, load) {
+    if (!_.has(this.cache, cacheKey)) {
+      const promise = load();
+      // failed loads are retried next time.
+      promise.catch(() => {
+        if (this.cache[cacheKey] === promise) delete this.cache[cacheKey];
+      });
+      this.cache[cacheKey] = promise;
+    }
+    return this.cache[cacheKey];
+  }
+
+  prime(table, row) {
+    const cacheKey = `${table.tableName}:${row[table.pk]}`;
+    if (!_.has(this.cache, cacheKey)) this.cache[cacheKey] = Promise.resolve(row);
+  }
+
+  clear(tableOrName, pk) {
+    const { tableName } = this.getTable(tableOrName);
+    this.cache = _.omitBy(this.cache, (value, cacheKey) => _.startsWith(cacheKey, `${tableName}:${pk}:`));
+    delete this.cache[`${tableName}:${pk}`];
+  }
+
+  clearAll() {
+    this.cache = {};
+  }
+
+  get(tableOrName, pk) {
+    const table = this.getTable(tableOrName);
+    return this.cached(`${table.tableName}:${pk}`, () =>
+      this.load(`get:${table.tableName}`, pk, pks => this.fetchByIndex(table, pks, table.pk)
+        .then(rows => _.map(pks, key => _.find(rows, { [table.pk]: key }) || null))
+      )
+    );
+  }
+
+  getRelated(tableOrName, pk, relationName) {
+    const table = this.getTable(tableOrName);
+    table.getRelation(relationName);
+    return this.cached(`${table.tableName}:${pk}:${relationName}`, () =>
+      this.load(`related:${table.tableName}.${relationName}`, pk, pks =>
+        this.fetchRelated(table, relationName, pks)
+      )
+    );
+  }
+
+  async fetchByIndex(table, keys, index) {
+    const values = _.uniq(_.reject(keys, _.isNil));
+    if (_.isEmpty(values)) return [];
+    const rows = await this.run(
+      table.hideDeleted(table.withDeleted().getAll(r.args(values), { index })).coerceTo('array')
+    );
+    _.each(rows, row => this.prime(table, row));
+    return rows;
+  }
+
+  // values of the field of the rows, without loading the rows when the field is pk.
+  async fetchFieldValues(table, pks, field) {
+    if (field === table.pk) return pks;
+    const rows = await Promise.all(_.map(pks, pk => this.get(table, pk)));
+    return _.map(rows, row => (row ? row[field] : null));
+  }
+
+  async fetchRelated(table, relationName, pks) {
+    const relation = table.getRelation(relationName);
+
+    // polymorphic relations span tables, and default orderBy, filter and limit apply to the rows of each pk,
+    // so those are loaded by getRelated of each pk in one query.
+    const hasQueryOptions = _.some(['orderBy', 'filter', 'limit'], key => !_.isNil(relation[key]));
+    if (hasQueryOptions || _.includes(['morphTo', 'morphMany'], relation.type)) {
+      return await this.run(r.expr(_.map(pks, pk => table.getRelated(pk, relationName))));
+    }
+
+    if (relation.type === 'belongsTo') {
+      const { left, right } = relation.link;
+      const keys = await this.fetchFieldValues(table, pks, left.field);
+      if (right.field === right.table.pk) {
+        return await Promise.all(_.map(keys, key => (_.isNil(key) ? null : this.get(right.table, key))));
+      }
+      const rows = await this.fetchByIndex(right.table, keys, right.field);
+      return _.map(keys, key => _.find(rows, { [right.field]: key }) || null);
+    }
+
+    if (relation.type === 'belongsToMany') {
+      const [link1, link2] = relation.link;
+      const keys = await this.fetchFieldValues(table, pks, link1.right.field);
+      const linkRows = await this.fetchByIndex(link1.left.table, keys, link1.left.field);
+      const targetKeys = _.chain(linkRows).map(link2.left.field).reject(_.isNil).value();
+      const rows = await this.fetchByIndex(link2.right.table, targetKeys, link2.right.field);
+      return _.map(keys, key => _.chain(linkRows)
+        .filter({ [link1.left.field]: key })
+        .map(linkRow => _.find(rows, { [link2.right.field]: linkRow[link2.left.field] }))
+        .compact()
+        .value()
+      );
+    }
+
+    // hasOne & hasMany
+    const { left, right } = relation.link;
+    const keys = await this.fetchFieldValues(table, pks, right.field);
+    const rows = await this.fetchByIndex(left.table, keys, left.field);
+    return _.map(keys, key => {
+      const related = _.filter(rows, { [left.field]: key });
+      return relation.type === 'hasOne' ? _.head(related) || null : related;
+    });
+  }
+}
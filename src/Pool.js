@@ -0,0 +1,158 @@
+import r from 'rethinkdb';
+import Joi from 'joi';
+import _ from 'lodash';
+import assert from 'assert';
+const debug = require('debug')('nothinkdb:Pool');
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default class Pool {
+  constructor(options = {}) {
+    const {
+      connect, size, healthCheckInterval, retryDelay, maxRetryDelay, maxRetries,
+    } = Joi.attempt(options, {
+      connect: Joi.object().default({}, 'connect'),
+      size: Joi.number().integer().min(1).default(10),
+      healthCheckInterval: Joi.number().integer().min(0).default(30000),
+      retryDelay: Joi.number().integer().min(0).default(100),
+      maxRetryDelay: Joi.number().integer().min(0).default(10000),
+      maxRetries: Joi.number().integer().min(0).default(5),
+    });
+
+    this.connectOptions = connect;
+    this.size = size;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.maxRetries = maxRetries;
+    this.connections = [];
+    this.idle = [];
+    this.waiting = [];
+    this.draining = null;
+    this.healthCheckTimer = null;
+
+    if (healthCheckInterval > 0) {
+      this.healthCheckTimer = setInterval(() => this.checkHealth(), healthCheckInterval);
+      // an idle pool shouldn't keep the process alive.
+      if (this.healthCheckTimer.unref) this.healthCheckTimer.unref();
+    }
+  }
+
+  async connect(attempt = 0) {
+    try {
+      return await r.connect(this.connectOptions);
+    } catch (error) {
+      if (attempt >= this.maxRetries) throw error;
+      const retryDelay = Math.min(this.retryDelay * Math.pow(2, attempt), this.maxRetryDelay);
+      debug(`connect failed, retry in ${retryDelay}ms: ${error.message}`);
+      await delay(retryDelay);
+      return await this.connect(attempt + 1);
+    }
+  }
+
+  async createConnection() {
+    // the slot is reserved before connecting, so concurrent acquires respect the size.
+    const slot = {};
+    this.connections.push(slot);
+    try {
+      const connection = await this.connect();
+      this.connections.splice(this.connections.indexOf(slot), 1, connection);
+      connection.on('close', () => this.remove(connection));
+      return connection;
+    } catch (error) {
+      _.pull(this.connections, slot);
+      this.checkDrained();
+      throw error;
+    }
+  }
+
+  remove(connection) {
+    _.pull(this.connections, connection);
+    _.pull(this.idle, connection);
+    this.checkDrained();
+  }
+
+  checkDrained() {
+    if (this.draining && this.idle.length === this.connections.length) this.draining.resolve();
+  }
+
+  async acquire() {
+    assert.ok(!this.draining, 'Pool is draining.');
+
+    while (this.idle.length > 0) {
+      const connection = this.idle.pop();
+      if (connection.isOpen()) return connection;
+      this.remove(connection);
+    }
+
+    if (this.connections.length < this.size) return await this.createConnection();
+
+    return await new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+    });
+  }
+
+  release(connection) {
+    if (!connection.isOpen()) {
+      this.remove(connection);
+      this.serveWaiting();
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter.resolve(connection);
+      return;
+    }
+
+    this.idle.push(connection);
+    this.checkDrained();
+  }
+
+  serveWaiting() {
+    if (_.isEmpty(this.waiting) || this.connections.length >= this.size) return;
+    const waiter = this.waiting.shift();
+    this.createConnection().then(waiter.resolve, waiter.reject);
+  }
+
+  async run(query, options = {}) {
+    const connection = await this.acquire();
+    try {
+      return await query.run(connection, options);
+    } finally {
+      this.release(connection);
+    }
+  }
+
+  async checkHealth() {
+    const idle = [...this.idle];
+    await Promise.all(_.map(idle, async connection => {
+      try {
+        await r.expr(1).run(connection);
+      } catch (error) {
+        debug(`unhealthy connection is closed: ${error.message}`);
+        this.remove(connection);
+        await connection.close({ noreplyWait: false }).catch(_.noop);
+      }
+    }));
+  }
+
+  async drain() {
+    if (!this.draining) {
+      const draining = {};
+      draining.promise = new Promise(resolve => { draining.resolve = resolve; });
+      this.draining = draining;
+      clearInterval(this.healthCheckTimer);
+      _.each(this.waiting, waiter => waiter.reject(new Error('Pool is draining.')));
+      this.waiting = [];
+      this.checkDrained();
+    }
+
+    // borrowed connections are closed once they are released.
+    await this.draining.promise;
+    await Promise.all(_.map(this.idle, connection => connection.close()));
+    this.connections = [];
+    this.idle = [];
+  }
+}
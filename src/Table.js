@@ -10,30 +10,169 @@ function parseRelationOptions(options) {
   return _.chain(options)
     .omitBy((value, key) => !_.startsWith(key, '_'))
     .reduce((memo, value, key) => ({
+      ...memo,
       [key.slice(1)]: value,
     }), {})
     .value();
 }
 
+// relations of a withJoin level, without the options and the projected fields.
+function getRelationSpecs(relations) {
+  const isProjected = _.isArray(relations.fields);
+  return _.omitBy(relations, (value, key) => _.startsWith(key, '_') || (isProjected && key === 'fields'));
+}
+
+function partialField(field) {
+  const partial = field.optional();
+  if (field._type !== 'object' || !field._inner.children) return partial;
+
+  // nested objects are merged by rethinkdb, so their keys are partial too.
+  return partial.keys(
+    _.reduce(field._inner.children, (memo, child) => ({
+      ...memo,
+      [child.key]: partialField(child.schema),
+    }), {})
+  );
+}
+
+function omitReqlTerms(data) {
+  return _.chain(data)
+    .omitBy(_.isFunction)
+    .mapValues(value => (_.isPlainObject(value) ? omitReqlTerms(value) : value))
+    .value();
+}
+
+// after hooks of write queries, which run(query) calls once the write result comes back.
+const afterHookRunners = new WeakMap();
+
+// the sort field of a relation's orderBy, which pagination can follow. null when it can't.
+function parseOrderBy(orderBy) {
+  if (_.isArray(orderBy) && orderBy.length === 1) return parseOrderBy(orderBy[0]);
+  if (_.isString(orderBy)) return { orderBy, desc: false };
+  if (!_.isFunction(orderBy) || !_.isFunction(orderBy.build)) return null;
+  const [type, [field]] = orderBy.build();
+  if (!_.includes([TERM_TYPE.ASC, TERM_TYPE.DESC], type) || !_.isString(field)) return null;
+  return { orderBy: field, desc: type === TERM_TYPE.DESC };
+}
+
+function encodeCursor(values) {
+  const json = JSON.stringify(_.map(values, value => (_.isDate(value) ? { $date: value.toISOString() } : value)));
+  return Buffer.from(json).toString('base64');
+}
+
+// cursors come from clients, so anything but a base64 encoded pair is rejected.
+function decodeCursor(cursor) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (error) {
+    values = null;
+  }
+  assert.ok(_.isArray(values) && values.length === 2, `Invalid cursor '${cursor}'.`);
+  return _.map(values, value => (_.has(value, '$date') ? new Date(value.$date) : value));
+}
+
+// index functions are compared by their wire form, with variable ids renumbered
+// because the driver assigns them globally.
+const TERM_TYPE = { MAKE_ARRAY: 2, VAR: 10, TABLE: 15, FUNC: 69, ASC: 73, DESC: 74 };
+
+function normalizeTerm(term, vars = {}) {
+  if (_.isPlainObject(term)) return _.mapValues(term, value => normalizeTerm(value, vars));
+  if (!_.isArray(term)) return term;
+  const [type, args = [], optargs] = term;
+  if (type === TERM_TYPE.VAR) return [type, [vars[args[0]]]];
+  if (type === TERM_TYPE.FUNC) {
+    const [[, ids], body] = args;
+    _.each(ids, id => { vars[id] = _.size(vars); });
+    return [type, [[TERM_TYPE.MAKE_ARRAY, _.map(ids, id => vars[id])], normalizeTerm(body, vars)]];
+  }
+  const normalized = [type, _.map(args, arg => normalizeTerm(arg, vars))];
+  if (optargs) normalized.push(normalizeTerm(optargs, vars));
+  return normalized;
+}
+
+function isSameIndex(record, status) {
+  return Buffer.from(record.function).equals(Buffer.from(status.function)) &&
+    record.multi === status.multi &&
+    record.geo === status.geo;
+}
+
+function indexDefinition(option) {
+  if (_.isUndefined(option)) return null;
+  return JSON.stringify(normalizeTerm(r.expr(option).build()));
+}
+
+const DELETED_AT = 'deletedAt';
+
+// cyclic onDelete cascade rules, like a tree of rows in one table, follow rows up to this depth.
+const MAX_CASCADE_DEPTH = 32;
+
+const TIMESTAMP_FIELDS = { createTimestamp: 'createdAt', updateTimestamp: 'updatedAt' };
+
+const AGGREGATE_OPS = ['count', 'sum', 'avg', 'min', 'max', 'exists'];
+
+const MANY_RELATION_TYPES = ['hasMany', 'belongsToMany', 'morphMany'];
+
+const HOOK_NAMES = [
+  'beforeInsert', 'afterInsert',
+  'beforeUpdate', 'afterUpdate',
+  'beforeReplace', 'afterReplace',
+  'beforeDelete', 'afterDelete',
+  'beforeCreateRelation', 'afterCreateRelation',
+  'beforeRemoveRelation', 'afterRemoveRelation',
+];
+
 export default class Table {
   static pk = 'id';
+  static indexTableName = '_indexes';
 
   constructor(options = {}) {
-    const { tableName, pk, schema, relations, index } = Joi.attempt(options, {
+    const {
+      tableName, db, pool, pk, schema, relations, index, unique, hooks, softDelete,
+      shards, replicas, primaryReplicaTag, durability, indexTableName,
+    } = Joi.attempt(options, {
       tableName: Joi.string().required(),
+      db: Joi.string(),
+      indexTableName: Joi.string().default(this.constructor.indexTableName),
+      pool: Joi.object(),
       pk: Joi.string().default(this.constructor.pk),
       schema: Joi.func().required(),
       relations: Joi.func().default(() => () => ({}), 'relation'),
       index: Joi.object().default({}, 'index'),
+      unique: Joi.object().pattern(/.*/, Joi.array().items(Joi.string()).min(1)).default({}, 'unique'),
+      hooks: Joi.object(_.reduce(HOOK_NAMES, (memo, hookName) => ({
+        ...memo,
+        [hookName]: [Joi.func(), Joi.array().items(Joi.func())],
+      }), {})).default({}, 'hooks'),
+      softDelete: Joi.boolean().default(false),
+      shards: Joi.number().integer().min(1).max(64),
+      replicas: [
+        Joi.number().integer().min(1),
+        Joi.object().pattern(/.*/, Joi.number().integer().min(0)),
+      ],
+      primaryReplicaTag: Joi.string(),
+      durability: Joi.string().valid('hard', 'soft'),
     });
+    assert.equal(
+      _.isPlainObject(replicas), !_.isUndefined(primaryReplicaTag),
+      `Table '${tableName}' should set primaryReplicaTag with replicas per server tag.`
+    );
+    assert.notEqual(tableName, indexTableName, `Table '${tableName}' is the table of index records.`);
 
     this.tableName = tableName;
+    this.db = db;
+    this.indexTableName = indexTableName;
+    this.pool = pool;
     this.pk = pk;
     this.schema = schema;
     this._schema = null;
     this.relations = relations;
     this._relations = null;
     this.index = index;
+    this.unique = unique;
+    this.hooks = _.mapValues(hooks, _.castArray);
+    this.softDelete = softDelete;
+    this.config = _.omitBy({ shards, replicas, primaryReplicaTag, durability }, _.isUndefined);
   }
 
   init() {
@@ -51,6 +190,49 @@ export default class Table {
     return this._relations;
   }
 
+  on(hookName, hook) {
+    assert.ok(_.includes(HOOK_NAMES, hookName), `Hook '${hookName}' is not supported.`);
+    assert.ok(_.isFunction(hook), `Hook '${hookName}' should be a function.`);
+    this.hooks[hookName] = [...(this.hooks[hookName] || []), hook];
+    return this;
+  }
+
+  // queries are built synchronously, so a before hook can't wait for a promise.
+  runBeforeHooks(hookName, data, context = {}) {
+    return _.reduce(this.hooks[hookName], (data, hook) => {
+      const result = hook(data, { ...context, table: this });
+      assert.ok(
+        !result || !_.isFunction(result.then),
+        `Hook '${hookName}' of "${this.tableName}" table returned a promise. Before hooks should be synchronous.`
+      );
+      return _.isUndefined(result) ? data : result;
+    }, data);
+  }
+
+  withAfterHooks(hookName, query, context = {}) {
+    if (_.isEmpty(this.hooks[hookName])) return query;
+    const runner = { isClaimed: false, run: result => this.runAfterHooks(hookName, result, context) };
+    afterHookRunners.set(query, runner);
+    // query.run(connection) can't be seen, so a query which run(query) doesn't take soon is warned.
+    setImmediate(() => {
+      if (runner.isClaimed) return;
+      debug(`[warn] ${hookName} hooks of "${this.tableName}" table don't run, unless the query is run by table.run(query).`);
+    });
+    return query;
+  }
+
+  async runAfterHooks(hookName, result, context = {}) {
+    try {
+      await _.reduce(this.hooks[hookName], (promise, hook) => {
+        return promise.then(() => hook(result, { ...context, table: this }));
+      }, Promise.resolve());
+    } catch (error) {
+      error.message = `Hook '${hookName}' of "${this.tableName}" table failed after the write: ${error.message}`;
+      error.result = result;
+      throw error;
+    }
+  }
+
   metaFields(metaKey) {
     return _.chain(this.getSchema())
       .omitBy(schema => !_.find(schema._meta, meta => _.has(meta, metaKey)))
@@ -70,6 +252,32 @@ export default class Table {
     return this.attempt(data);
   }
 
+  getPartialSchema() {
+    return Joi.object(_.mapValues(this.getSchema(), partialField));
+  }
+
+  validatePartial(data = {}) {
+    return !this._validatePartial(data).error;
+  }
+
+  attemptPartial(data = {}) {
+    const { error } = this._validatePartial(data);
+    if (error) {
+      const messages = _.map(error.details, detail => `${detail.message} (${detail.path})`);
+      error.message = `Invalid update data for "${this.tableName}" table: ${messages.join(', ')}`;
+      throw error;
+    }
+    return data;
+  }
+
+  _validatePartial(data) {
+    if (!_.isPlainObject(data)) return {};
+    return Joi.validate(omitReqlTerms(data), this.getPartialSchema(), {
+      abortEarly: false,
+      noDefaults: true,
+    });
+  }
+
   hasField(fieldName) {
     return _.has(this.getSchema(), fieldName);
   }
@@ -86,11 +294,25 @@ export default class Table {
   getForeignKey(options = {}) {
     const { fieldName = this.pk, isManyToMany = false } = options;
     const field = this.getField(fieldName);
+    // references are checked through the index on every write.
+    assert.ok(
+      this.isSortIndex(fieldName),
+      `Field '${fieldName}' of table '${this.tableName}' should be the primary key or indexed to be referenced.`
+    );
+
+    const meta = { index: true, reference: { table: this, field: fieldName } };
 
     if (isManyToMany) {
-      return field.required().meta({ index: true });
+      return field.required().meta(meta);
     }
-    return field.allow(null).default(null).meta({ index: true });
+    return field.allow(null).default(null).meta(meta);
+  }
+
+  getReferences() {
+    return _.map(this.metaFields('reference'), fieldName => {
+      const { reference } = _.findLast(this.getField(fieldName)._meta, meta => _.has(meta, 'reference'));
+      return { fieldName, ...reference };
+    });
   }
 
   linkTo(targetTable, leftField, options = {}) {
@@ -105,109 +327,818 @@ export default class Table {
     return targetTable.linkTo(this, leftField, options);
   }
 
-  async sync(connection) {
-    debug(`sync ${connection.db}.${this.tableName}...`);
+  getDb() {
+    return this.db ? r.db(this.db) : r;
+  }
+
+  getDbName(connection) {
+    return this.db || connection.db;
+  }
+
+  queryTableExists(tableName = this.tableName) {
+    const tableExists = this.getDb().tableList().contains(tableName);
+    if (!this.db) return tableExists;
+    return r.branch(r.dbList().contains(this.db), tableExists, false);
+  }
+
+  async run(query, options = {}) {
+    const { connection, ...runOptions } = options;
+    assert.ok(connection || this.pool, `Table '${this.tableName}' has no connection pool.`);
+    const runner = afterHookRunners.get(query);
+    if (runner) runner.isClaimed = true;
+    const result = connection ?
+      await query.run(connection, runOptions) :
+      await this.pool.run(query, runOptions);
+    if (runner) await runner.run(result);
+    return result;
+  }
+
+  async sync(connection, options = {}) {
+    debug(`sync ${this.getDbName(connection)}.${this.tableName}...`);
+    await this.ensureDb(connection);
     await this.ensureTable(connection);
-    await this.ensureAllIndexes(connection);
-    debug(`[done] sync ${connection.db}.${this.tableName}`);
+    await this.ensureConfig(connection);
+    const diff = await this.ensureAllIndexes(connection, options);
+    debug(`[done] sync ${this.getDbName(connection)}.${this.tableName}`);
+    return diff;
+  }
+
+  async plan(connection, options = {}) {
+    const { rebuild = false, recordUnverified = false, dropOrphans = false } = options;
+    const [createDb, createTable, createIndexTable, config, diff] = await Promise.all([
+      this.db ? r.dbList().contains(this.db).not().run(connection) : false,
+      this.queryTableExists().not().run(connection),
+      this.queryTableExists(this.indexTableName).not().run(connection),
+      this.diffConfig(connection),
+      this.diffIndexes(connection),
+    ]);
+    const rebuiltUnverified = rebuild && !recordUnverified ? diff.unverified : [];
+    return {
+      ...(this.db ? { db: this.db } : {}),
+      createDb,
+      createTable,
+      createIndexTable,
+      indexTableName: this.indexTableName,
+      config,
+      indexes: {
+        create: diff.added,
+        rebuild: rebuild ? [...diff.changed, ...rebuiltUnverified] : [],
+        record: recordUnverified ? diff.unverified : [],
+        drop: dropOrphans ? diff.orphaned : [],
+        changed: rebuild ? [] : diff.changed,
+        unverified: rebuild || recordUnverified ? [] : diff.unverified,
+        orphaned: dropOrphans ? [] : diff.orphaned,
+      },
+    };
+  }
+
+  async ensureDb(connection) {
+    if (!this.db) return;
+    await r.branch(
+      r.dbList().contains(this.db).not(),
+      r.dbCreate(this.db),
+      null
+    ).run(connection);
   }
 
   async ensureTable(connection) {
-    debug(`ensureTable ${connection.db}.${this.tableName}...`);
+    debug(`ensureTable ${this.getDbName(connection)}.${this.tableName}...`);
     await r.branch(
-      r.tableList().contains(this.tableName).not(),
-      r.tableCreate(this.tableName),
+      this.getDb().tableList().contains(this.tableName).not(),
+      this.getDb().tableCreate(this.tableName, { primaryKey: this.pk, ...this.config }),
       null
     ).run(connection);
-    debug(`[done] ensureTable ${connection.db}.${this.tableName}`);
+    debug(`[done] ensureTable ${this.getDbName(connection)}.${this.tableName}`);
+  }
+
+  async diffConfig(connection) {
+    const config = await r.branch(
+      this.queryTableExists(),
+      this.withDeleted().config(),
+      null
+    ).run(connection);
+    if (!config) return {};
+
+    const { shards, replicas, durability } = this.config;
+    // replicas per server tag are compared by their total, as config() doesn't show tags.
+    const changes = {
+      primaryKey: [config.primary_key, this.pk],
+      shards: [config.shards.length, shards],
+      replicas: [
+        _.size(_.head(config.shards).replicas),
+        _.isPlainObject(replicas) ? _.sum(_.values(replicas)) : replicas,
+      ],
+      durability: [config.durability, durability],
+    };
+    return _.chain(changes)
+      .omitBy(([current, declared]) => _.isUndefined(declared) || current === declared)
+      .mapValues(([current, declared]) => ({ current, declared }))
+      .value();
+  }
+
+  async ensureConfig(connection) {
+    debug(`ensureConfig ${this.getDbName(connection)}.${this.tableName}...`);
+    const changes = await this.diffConfig(connection);
+    assert.ok(!changes.primaryKey, `Primary key of table '${this.tableName}' can't be changed.`);
+
+    if (changes.shards || changes.replicas) {
+      const config = await this.withDeleted().config().run(connection);
+      const {
+        shards = config.shards.length,
+        replicas = _.size(_.head(config.shards).replicas),
+        primaryReplicaTag,
+      } = this.config;
+      await this.withDeleted()
+        .reconfigure(_.omitBy({ shards, replicas, primaryReplicaTag }, _.isUndefined))
+        .run(connection);
+    }
+    if (changes.durability) {
+      await this.withDeleted().config().update({ durability: this.config.durability }).run(connection);
+    }
+    if (!_.isEmpty(changes)) await this.withDeleted().wait().run(connection);
+    debug(`[done] ensureConfig ${this.getDbName(connection)}.${this.tableName}`);
   }
 
-  async ensureAllIndexes(connection) {
-    debug(`ensureAllIndex ${connection.db}.${this.tableName}...`);
-    const indexFields = [
+  getIndexes() {
+    const indexes = _.reduce([
       ...this.metaFields('index'),
       ...this.metaFields('unique'),
-    ];
+    ], (memo, indexName) => ({ ...memo, [indexName]: undefined }), {});
 
-    await indexFields.reduce((promise, indexName) => {
-      return promise.then(() => this.ensureIndex(connection, indexName));
-    }, Promise.resolve());
+    _.each(this.index, (option, indexName) => {
+      indexes[indexName] = option === true ? undefined : option;
+    });
+
+    _.each(this.unique, (fields, indexName) => {
+      indexes[indexName] = fields.length === 1 ?
+        r.row(fields[0]) :
+        _.map(fields, field => r.row(field));
+    });
+
+    return _.omit(indexes, this.pk);
+  }
+
+  async diffIndexes(connection) {
+    const indexes = this.getIndexes();
+    const { indexTableName } = this;
+    const [statuses, records] = await r.expr([
+      r.branch(
+        this.queryTableExists(),
+        this.withDeleted().indexStatus().pluck('index', 'function', 'multi', 'geo').coerceTo('array'),
+        []
+      ),
+      r.branch(
+        this.queryTableExists(indexTableName),
+        this.getDb().table(indexTableName).filter({ tableName: this.tableName }).coerceTo('array'),
+        []
+      ),
+    ]).run(connection);
+    const existing = _.map(statuses, 'index');
+    const recordsByName = _.keyBy(records, 'indexName');
+
+    // indexes which nothinkdb didn't create have no record, so they can't be compared.
+    const [unverified, verified] = _.partition(_.intersection(_.keys(indexes), existing), indexName =>
+      !_.has(recordsByName[indexName], 'function')
+    );
+    const changed = _.filter(verified, indexName => {
+      const record = recordsByName[indexName];
+      const status = _.find(statuses, { index: indexName });
+      return record.definition !== indexDefinition(indexes[indexName]) || !isSameIndex(record, status);
+    });
+
+    return {
+      added: _.difference(_.keys(indexes), existing),
+      changed,
+      unverified,
+      orphaned: _.difference(existing, _.keys(indexes)),
+    };
+  }
 
-    await _.reduce(this.index, (promise, option, indexName) => {
+  async ensureAllIndexes(connection, options = {}) {
+    debug(`ensureAllIndex ${this.getDbName(connection)}.${this.tableName}...`);
+    const { rebuild = false, recordUnverified = false, dropOrphans = false, wait = true } = options;
+    const indexes = this.getIndexes();
+    const diff = await this.diffIndexes(connection);
+    await this.ensureIndexTable(connection);
+    if (!_.isEmpty(diff.changed)) debug(`changed indexes ${this.getDbName(connection)}.${this.tableName} ${diff.changed}`);
+    if (!_.isEmpty(diff.unverified)) debug(`unverified indexes ${this.getDbName(connection)}.${this.tableName} ${diff.unverified}`);
+    if (!_.isEmpty(diff.orphaned)) debug(`orphaned indexes ${this.getDbName(connection)}.${this.tableName} ${diff.orphaned}`);
+
+    // recorded unverified indexes are trusted as declared, instead of being rebuilt.
+    const rebuilt = recordUnverified ? diff.changed : [...diff.changed, ...diff.unverified];
+    await _.reduce(indexes, (promise, option, indexName) => {
       return promise.then(() => {
-        return option === true ?
-          this.ensureIndex(connection, indexName) :
-          this.ensureIndex(connection, indexName, option);
+        return rebuild && _.includes(rebuilt, indexName) ?
+          this.rebuildIndex(connection, indexName, option) :
+          this.createIndex(connection, indexName, option);
       });
     }, Promise.resolve());
-    debug(`[done] ensureAllIndex ${connection.db}.${this.tableName}`);
+
+    if (recordUnverified) {
+      await diff.unverified.reduce((promise, indexName) => {
+        return promise.then(() => this.recordIndex(connection, indexName, indexes[indexName]));
+      }, Promise.resolve());
+    }
+
+    if (dropOrphans) {
+      await diff.orphaned.reduce((promise, indexName) => {
+        return promise.then(() => this.dropIndex(connection, indexName));
+      }, Promise.resolve());
+    }
+
+    // indexes are built together, instead of waiting for each one.
+    if (wait) await this.waitIndexes(connection);
+    debug(`[done] ensureAllIndex ${this.getDbName(connection)}.${this.tableName}`);
+    return diff;
+  }
+
+  async ensureIndexTable(connection) {
+    const { indexTableName } = this;
+    await r.branch(
+      this.getDb().tableList().contains(indexTableName).not(),
+      this.getDb().tableCreate(indexTableName),
+      null
+    ).run(connection);
+  }
+
+  // the declared definition is recorded with the function the server built from it.
+  async recordIndex(connection, indexName, option) {
+    await this.getDb().table(this.indexTableName).insert(
+      this.withDeleted().indexStatus(indexName).nth(0).do(status => ({
+        id: `${this.tableName}.${indexName}`,
+        tableName: this.tableName,
+        indexName,
+        definition: indexDefinition(option),
+        function: status('function'),
+        multi: status('multi'),
+        geo: status('geo'),
+      })),
+      { conflict: 'replace' }
+    ).run(connection);
   }
 
   async ensureIndex(connection, indexName, option) {
-    debug(`ensureIndex ${connection.db}.${this.tableName} ${indexName}...`);
+    debug(`ensureIndex ${this.getDbName(connection)}.${this.tableName} ${indexName}...`);
     if (this.pk === indexName) return;
+    await this.ensureIndexTable(connection);
+    await this.createIndex(connection, indexName, option);
+    await this.withDeleted().indexWait(indexName).run(connection);
+    debug(`[done] ensureIndex ${this.getDbName(connection)}.${this.tableName} ${indexName}`);
+  }
+
+  async createIndex(connection, indexName, option) {
+    if (this.pk === indexName) return;
+    const isCreated = await r.branch(
+      this.withDeleted().indexList().contains(indexName).not(),
+      this.withDeleted().indexCreate(indexName, option).do(() => true),
+      false
+    ).run(connection);
+    // existing indexes are not recorded, because their definition is unknown.
+    if (isCreated) await this.recordIndex(connection, indexName, option);
+  }
+
+  async waitIndexes(connection) {
+    await this.withDeleted().indexWait().run(connection);
+  }
+
+  async rebuildIndex(connection, indexName, option) {
+    debug(`rebuildIndex ${this.getDbName(connection)}.${this.tableName} ${indexName}...`);
+    assert.notEqual(indexName, this.pk, `Primary key '${indexName}' can't be rebuilt.`);
+    await this.ensureIndexTable(connection);
+    const tmpIndexName = `${indexName}_rebuild`;
+
+    // build aside and swap, so queries keep using the old index meanwhile.
+    await r.branch(
+      this.withDeleted().indexList().contains(tmpIndexName),
+      this.withDeleted().indexDrop(tmpIndexName),
+      null
+    ).run(connection);
+    await this.withDeleted().indexCreate(tmpIndexName, option).run(connection);
+    await this.withDeleted().indexWait(tmpIndexName).run(connection);
+    await this.withDeleted().indexRename(tmpIndexName, indexName, { overwrite: true }).run(connection);
+    await this.recordIndex(connection, indexName, option);
+    debug(`[done] rebuildIndex ${this.getDbName(connection)}.${this.tableName} ${indexName}`);
+  }
+
+  async dropIndex(connection, indexName) {
+    debug(`dropIndex ${this.getDbName(connection)}.${this.tableName} ${indexName}...`);
+    const { indexTableName } = this;
+    await r.branch(
+      this.withDeleted().indexList().contains(indexName),
+      this.withDeleted().indexDrop(indexName),
+      null
+    ).run(connection);
     await r.branch(
-      this.query().indexList().contains(indexName).not(),
-      this.query().indexCreate(indexName, option),
+      this.queryTableExists(indexTableName),
+      this.getDb().table(indexTableName).get(`${this.tableName}.${indexName}`).delete(),
       null
     ).run(connection);
-    await this.query().indexWait(indexName).run(connection);
-    debug(`[done] ensureIndex ${connection.db}.${this.tableName} ${indexName}`);
+    debug(`[done] dropIndex ${this.getDbName(connection)}.${this.tableName} ${indexName}`);
   }
 
+  // the table itself, so table terms like indexed orderBy keep working with soft delete.
   query() {
-    return r.table(this.tableName);
+    return this.withDeleted();
   }
 
-  insert(data, ...options) {
-    const insertData = { ...data };
-    if (this.hasField('createdAt')) {
-      insertData.createdAt = r.now();
+  withDeleted() {
+    return this.getDb().table(this.tableName);
+  }
+
+  withoutDeleted() {
+    return this.hideDeleted(this.withDeleted());
+  }
+
+  onlyDeleted() {
+    assert.ok(this.softDelete, `Table '${this.tableName}' is not soft delete table.`);
+    return this.withDeleted().filter(row => row(DELETED_AT).default(null).ne(null));
+  }
+
+  hideDeleted(query) {
+    if (!this.softDelete) return query;
+    return query.filter(row => row(DELETED_AT).default(null).eq(null));
+  }
+
+  // fields named createdAt and updatedAt are stamped without meta flags, unless flagged false.
+  getTimestampFields(metaKey) {
+    const fieldName = TIMESTAMP_FIELDS[metaKey];
+    const fields = this.hasField(fieldName) ?
+      _.union(this.metaFields(metaKey), [fieldName]) :
+      this.metaFields(metaKey);
+    return _.filter(fields, field => {
+      const meta = _.findLast(this.getField(field)._meta, meta => _.has(meta, metaKey));
+      return !meta || meta[metaKey] !== false;
+    });
+  }
+
+  stampTimestamps(data, options = {}) {
+    const { isCreated = false, pk } = options;
+    if (!_.isPlainObject(data)) return data;
+
+    const createdFields = this.getTimestampFields('createTimestamp');
+    const updatedFields = this.getTimestampFields('updateTimestamp');
+    const stamped = _.omit(data, createdFields);
+    if (isCreated) {
+      _.each(createdFields, field => {
+        // keep time of creation if row already exists.
+        stamped[field] = _.isUndefined(pk) ?
+          r.now() :
+          this.withDeleted().get(pk)(field).default(r.now());
+      });
     }
-    return this.assertIntegrate(data)
-    .do(() => this.query().insert(data, ...options));
+    _.each(updatedFields, field => {
+      stamped[field] = r.now();
+    });
+    return stamped;
+  }
+
+  insert(data, ...options) {
+    data = _.isArray(data) ?
+      _.map(data, row => this.runBeforeHooks('beforeInsert', row)) :
+      this.runBeforeHooks('beforeInsert', data);
+    const [{ conflict } = {}] = options;
+    const isOverwritable = conflict === 'update' || conflict === 'replace';
+    const stamp = row => this.stampTimestamps(row, {
+      isCreated: true,
+      pk: isOverwritable && _.isPlainObject(row) ? row[this.pk] : undefined,
+    });
+    const insertData = _.isArray(data) ? _.map(data, stamp) : stamp(data);
+
+    const query = this.assertIntegrate(insertData)
+    .do(() => this.withDeleted().insert(insertData, ...options));
+    return this.withAfterHooks('afterInsert', query, { data });
   }
 
   get(pk) {
-    return this.query().get(pk);
+    const query = this.withDeleted().get(pk);
+    if (!this.softDelete) return query;
+    // branch keeps the single selection, so the row can be still updated or deleted.
+    return r.branch(
+      query(DELETED_AT).default(null).eq(null),
+      query,
+      null
+    );
   }
 
   update(pk, data, ...options) {
-    const updateData = { ...data };
-    if (this.hasField('updatedAt')) {
-      updateData.updatedAt = r.now();
-    }
-    return this.assertIntegrate(data)
+    data = this.runBeforeHooks('beforeUpdate', data, { pk });
+    this.attemptPartial(data);
+    const updateData = this.stampTimestamps(data);
+    const query = this.assertIntegrate(updateData, { exclude: pk })
     .do(() => {
       const selectionQuery = _.isArray(pk) ?
-        this.query().getAll(...pk) :
-        this.query().get(pk);
+        this.withDeleted().getAll(...pk) :
+        this.withDeleted().get(pk);
       return selectionQuery.update(updateData, ...options);
     });
+    return this.withAfterHooks('afterUpdate', query, { pk, data });
+  }
+
+  replace(pk, data, ...options) {
+    // timestamps and references are checked on the data, so the function form of replace isn't supported.
+    assert.ok(_.isPlainObject(data), `Replace data of "${this.tableName}" table should be an object.`);
+    data = this.runBeforeHooks('beforeReplace', data, { pk });
+    const replaceData = this.stampTimestamps(data);
+    const createdFields = this.getTimestampFields('createTimestamp');
+    const query = this.assertIntegrate(replaceData, { exclude: pk })
+    .do(() => this.withDeleted().get(pk).replace(row =>
+      r.expr(replaceData).merge(
+        _.reduce(createdFields, (memo, field) => ({
+          ...memo,
+          [field]: row(field).default(r.now()),
+        }), {})
+      ), ...options)
+    );
+    return this.withAfterHooks('afterReplace', query, { pk, data });
+  }
+
+  getUniqueConstraints() {
+    return [
+      ..._.map(this.metaFields('unique'), field => ({ index: field, fields: [field] })),
+      ..._.map(this.unique, (fields, index) => {
+        _.each(fields, field => this.assertField(field));
+        return { index, fields };
+      }),
+    ];
+  }
+
+  assertIntegrate(data, options = {}) {
+    return this.assertUnique(data, options)
+    .do(() => this.assertReference(data));
   }
 
-  assertIntegrate(data) {
-    const uniqueFields = this.metaFields('unique');
-    if (_.isEmpty(uniqueFields)) return r.expr(true);
+  assertUnique(data, options = {}) {
+    const { exclude } = options;
+    const constraints = this.getUniqueConstraints();
+    if (_.isEmpty(constraints)) return r.expr(true);
 
-    const uniqueData = _.pick(data, uniqueFields);
-    if (_.isEmpty(uniqueData)) return r.expr(true);
+    const isUpdate = !_.isUndefined(exclude);
+    const excludedPks = isUpdate ? _.castArray(exclude) : [];
+    const isLabeled = _.isArray(isUpdate ? exclude : data);
 
-    return _.reduce(uniqueData, (expr, val, key) => {
-      return expr.do(() => {
-        if (_.isUndefined(val) || _.isNull(val)) return r.expr(null);
+    // rows to be written, labeled by index of batch or by updated primary key.
+    const targets = isUpdate ?
+      _.map(excludedPks, pk => ({ label: pk, pk, row: data })) :
+      _.map(_.castArray(data), (row, label) => ({ label, row }));
+
+    const conflicts = _.reduce(constraints, (conflicts, { index, fields }) => {
+      const isCompound = fields.length > 1;
+      const entries = _.chain(targets)
+        .filter(({ row }) => _.isPlainObject(row))
+        .filter(({ row }) => _.some(fields, field => !_.isUndefined(row[field]) && !_.isNull(row[field])))
+        .reject(({ row }) => _.some(fields, field => _.isFunction(row[field])))
+        .map(({ label, pk, row }) => {
+          const values = _.map(fields, field => {
+            if (_.has(row, field)) return row[field];
+            // partially updated compound fields are completed with stored row.
+            return isUpdate ? this.withDeleted().get(pk)(field).default(null) : null;
+          });
+          return { label, value: isCompound ? values : values[0] };
+        })
+        .value();
+      if (_.isEmpty(entries)) return conflicts;
+
+      const description = isCompound ?
+        `"${fields.join('", "')}" fields are unique in "${this.tableName}" table. ` :
+        `"${fields[0]}" field is unique in "${this.tableName}" table. `;
+      const describeValue = value => r.add('{ ', ..._.flatMap(fields, (field, i) => [
+        i > 0 ? `, "${field}": ` : `"${field}": `,
+        (isCompound ? value.nth(i) : value).toJsonString(),
+      ]), ' }');
+
+      const candidates = isCompound ?
+        r.expr(entries).filter(entry => entry('value').contains(null).not()) :
+        r.expr(entries);
+
+      return conflicts.union(candidates.do(candidates => {
+        const duplicated = candidates.group('value').ungroup()
+          .filter(group => group('reduction').count().gt(1))
+          .map(group => r.add(
+            description,
+            describeValue(group('group')),
+            ' is duplicated in rows ',
+            group('reduction')('label').toJsonString(),
+            '.'
+          ));
+
+        let existingRows = this.hideDeleted(
+          this.withDeleted().getAll(r.args(candidates('value')), { index })
+        );
+        if (!_.isEmpty(excludedPks)) {
+          existingRows = existingRows.filter(row => r.expr(excludedPks).contains(row(this.pk)).not());
+        }
+        const existingValues = existingRows
+          .map(row => (isCompound ? _.map(fields, field => row(field)) : row(fields[0])))
+          .coerceTo('array');
+        const existing = existingValues.do(existingValues =>
+          candidates
+            .filter(entry => existingValues.contains(entry('value')))
+            .map(entry => r.add(
+              description,
+              describeValue(entry('value')),
+              isLabeled ? r.add(' of row ', entry('label').toJsonString()) : '',
+              ' already exist.'
+            ))
+        );
 
         return r.branch(
-          this.query().getAll(val, { index: key }).count().gt(0),
-          r.error(`"${key}" field is unique in "${this.tableName}" table. { "${key}": "${val}" } already exist.`),
-          null
+          candidates.isEmpty(),
+          r.expr([]),
+          duplicated.union(existing)
         );
-      });
-    }, r.expr({}));
+      }));
+    }, r.expr([]));
+
+    return conflicts.do(conflicts =>
+      r.branch(
+        conflicts.isEmpty(),
+        null,
+        r.error(conflicts.reduce((left, right) => left.add(' ', right)))
+      )
+    );
+  }
+
+  assertReference(data) {
+    const references = this.getReferences();
+    if (_.isEmpty(references)) return r.expr(true);
+
+    const isBatch = _.isArray(data);
+    const rows = isBatch ? data : [data];
+
+    const missing = _.reduce(references, (missing, { fieldName, table, field }) => {
+      const entries = _.chain(rows)
+        .map((row, label) => ({ label, value: _.isPlainObject(row) ? row[fieldName] : undefined }))
+        .reject(({ value }) => _.isUndefined(value) || _.isNull(value) || _.isFunction(value))
+        .value();
+      if (_.isEmpty(entries)) return missing;
+
+      const values = _.uniq(_.map(entries, 'value'));
+      const referencedRows = table.withDeleted().getAll(r.args(values), { index: field });
+      const referencedValues = table.hideDeleted(referencedRows)(field).coerceTo('array');
+
+      return missing.union(referencedValues.do(referencedValues =>
+        r.expr(entries)
+          .filter(entry => referencedValues.contains(entry('value')).not())
+          .map(entry => r.add(
+            `"${fieldName}" field references "${table.tableName}" table. { "${fieldName}": `,
+            entry('value').toJsonString(),
+            isBatch ? r.add(' } of row ', entry('label').toJsonString()) : ' }',
+            ' does not exist.'
+          ))
+      ));
+    }, r.expr([]));
+
+    return missing.do(missing =>
+      r.branch(
+        missing.isEmpty(),
+        null,
+        r.error(missing.reduce((left, right) => left.add(' ', right)))
+      )
+    );
   }
 
   delete(pk, ...options) {
-    return this.query().get(pk).delete(...options);
+    pk = this.runBeforeHooks('beforeDelete', pk);
+    const query = this.queryDelete(pk, options);
+    return this.withAfterHooks('afterDelete', query, { pk });
+  }
+
+  getDeleteRules(onDelete) {
+    return _.pickBy(this.getRelations(), relation =>
+      (onDelete ? relation.onDelete === onDelete : relation.onDelete && relation.onDelete !== 'noAction')
+    );
+  }
+
+  // tables which deleting a row of this table cascades to, starting with itself.
+  getCascadeTables(tables = [this]) {
+    const next = _.chain(tables)
+      .flatMap(table => _.map(table.getDeleteRules('cascade'), 'dependentTable'))
+      .uniq()
+      .difference(tables)
+      .value();
+    return _.isEmpty(next) ? tables : this.getCascadeTables([...tables, ...next]);
+  }
+
+  // the longest chain of cascade rules, which is infinite when the rules are cyclic.
+  getCascadeDepth(path = []) {
+    if (_.includes(path, this)) return Infinity;
+    return _.max([0, ..._.map(this.getDeleteRules('cascade'), relation =>
+      relation.dependentTable.getCascadeDepth([...path, this]) + 1
+    )]);
+  }
+
+  queryDelete(pk, options = []) {
+    const selectionQuery = this.withDeleted().get(pk);
+    const deleteQuery = this.softDelete ?
+      selectionQuery.update({ [DELETED_AT]: r.now() }, ...options) :
+      selectionQuery.delete(...options);
+    if (_.isEmpty(this.getDeleteRules())) return deleteQuery;
+
+    const tables = this.getCascadeTables();
+    const depth = this.getCascadeDepth();
+    const isCyclic = !_.isFinite(depth);
+    // only the keys the delete rules query dependents by are collected, not whole rows.
+    const pluckKeys = (table, rows) => rows.pluck(_.uniq([table.pk, ..._.map(table.getDeleteRules(), 'referencedField')]));
+
+    // rows of each table to be deleted are collected level by level, before anything is written.
+    const collectLevel = state => r.expr(_.map(tables, (table, i) => {
+      const rows = state.nth(i)('rows');
+      const found = _.flatMap(tables, (source, j) =>
+        _.chain(source.getDeleteRules('cascade'))
+          .filter({ dependentTable: table })
+          .map(relation => state.nth(j)('frontier').concatMap(row =>
+            pluckKeys(table, table.hideDeleted(relation.queryDependents(row))).coerceTo('array')
+          ))
+          .value()
+      );
+      if (_.isEmpty(found)) return { rows, frontier: [] };
+
+      return _.reduce(_.tail(found), (memo, seq) => memo.union(seq), _.head(found))
+        .filter(row => rows(table.pk).contains(row(table.pk)).not())
+        .distinct()
+        .coerceTo('array')
+        .do(frontier => ({ rows: rows.union(frontier).coerceTo('array'), frontier }));
+    }));
+
+    const collectRows = row => {
+      const keys = pluckKeys(this, row);
+      const initialState = r.expr(_.map(tables, (table, i) => (
+        i === 0 ? { rows: [keys], frontier: [keys] } : { rows: [], frontier: [] }
+      )));
+      const state = _.reduce(_.range(isCyclic ? MAX_CASCADE_DEPTH : depth), memo => memo.do(collectLevel), initialState);
+      if (!isCyclic) return state;
+      return state.do(state => r.branch(
+        collectLevel(state).contains(entry => entry('frontier').isEmpty().not()),
+        r.error(`onDelete cascade of "${this.tableName}" table is deeper than ${MAX_CASCADE_DEPTH} levels.`),
+        state
+      ));
+    };
+
+    // every restrict rule of the collected rows is checked before any cascade or setNull is written.
+    const checkRestricted = state => _.reduce(tables, (expr, table, i) =>
+      _.reduce(table.getDeleteRules('restrict'), (expr, relation, relationName) => {
+        const { dependentTable } = relation;
+        const dependentIndex = _.indexOf(tables, dependentTable);
+        const isRestricted = row => {
+          let dependents = dependentTable.hideDeleted(relation.queryDependents(row));
+          // dependents deleted together don't restrict.
+          if (dependentIndex >= 0) {
+            const deletedPks = state.nth(dependentIndex)('rows')(dependentTable.pk);
+            dependents = dependents.filter(dependent => deletedPks.contains(dependent(dependentTable.pk)).not());
+          }
+          return dependents.isEmpty().not();
+        };
+        return expr.do(() => r.branch(
+          state.nth(i)('rows').contains(isRestricted),
+          r.error(`Relation '${table.tableName}.${relationName}' restricts deleting row of "${table.tableName}" table.`),
+          null
+        ));
+      }, expr), r.expr(null));
+
+    const applyRules = (state, row) => {
+      const nullified = _.reduce(tables, (expr, table, i) =>
+        _.reduce(table.getDeleteRules('setNull'), (expr, relation) => {
+          const { dependentTable, dependentField, dependentFields = [dependentField] } = relation;
+          const nullFields = _.mapValues(_.keyBy(dependentFields), () => null);
+          return expr.do(() => state.nth(i)('rows').forEach(row =>
+            relation.queryDependents(row).update(dependentTable.stampTimestamps(nullFields))
+          ));
+        }, expr), r.expr(null));
+
+      // the row itself is deleted last, by deleteQuery.
+      return _.reduce(tables, (expr, table, i) => expr.do(() =>
+        state.nth(i)('rows')
+          .filter(dependent => (i === 0 ? dependent(table.pk).ne(row(table.pk)) : true))(table.pk)
+          .coerceTo('array')
+          .do(pks => {
+            const dependents = table.withDeleted().getAll(r.args(pks));
+            return r.branch(
+              pks.isEmpty(),
+              null,
+              table.softDelete ? dependents.update({ [DELETED_AT]: r.now() }) : dependents.delete()
+            );
+          })
+      ), nullified);
+    };
+
+    return selectionQuery.do(row =>
+      r.branch(
+        row.eq(null),
+        null,
+        collectRows(row).do(state => checkRestricted(state).do(() => applyRules(state, row)))
+      )
+    ).do(() => deleteQuery);
+  }
+
+  restore(pk, ...options) {
+    assert.ok(this.softDelete, `Table '${this.tableName}' is not soft delete table.`);
+    return this.withDeleted().get(pk).update({ [DELETED_AT]: null }, ...options);
+  }
+
+  isSortIndex(indexName) {
+    const indexes = this.getIndexes();
+    return indexName === this.pk || (_.has(indexes, indexName) && _.isUndefined(indexes[indexName]));
+  }
+
+  // the connection is built from the rows, so the page query is run here, by the connection option or the pool.
+  paginate(query, options = {}) {
+    const { connection, ...pageOptions } = options;
+    const pageQuery = this.queryPage(query, pageOptions);
+    return this.run(pageQuery, { connection }).then(rows => this.toConnection(rows, pageOptions));
+  }
+
+  queryPage(query, options = {}) {
+    const { first, after, last, before, orderBy = this.pk, desc = false } = options;
+    assert.ok(_.isUndefined(first) || _.isUndefined(last), 'Pagination with both first and last is not supported.');
+    const { pk } = this;
+    const backward = !_.isUndefined(last);
+    const limit = backward ? last : first;
+    const ascending = desc === backward;
+
+    // whether the row comes after the cursor in the order, with pk as the tiebreaker.
+    const isBeyond = (row, cursor, isAscending) => {
+      const [value, id] = decodeCursor(cursor);
+      const op = isAscending ? 'gt' : 'lt';
+      return row(orderBy)[op](value).or(row(orderBy).eq(value).and(row(pk)[op](id)));
+    };
+
+    let seq;
+    const isTable = !query || _.head(query.build()) === TERM_TYPE.TABLE;
+    if (isTable && this.isSortIndex(orderBy)) {
+      // between skips the rows before the cursor through the index.
+      const [afterValue] = after ? decodeCursor(after) : [];
+      const [beforeValue] = before ? decodeCursor(before) : [];
+      const [lower = r.minval, upper = r.maxval] = desc ? [beforeValue, afterValue] : [afterValue, beforeValue];
+      seq = (query || this.withDeleted())
+        .between(lower, upper, { index: orderBy, rightBound: 'closed' })
+        .orderBy({ index: ascending ? r.asc(orderBy) : r.desc(orderBy) });
+      if (!query) seq = this.hideDeleted(seq);
+    } else {
+      const direction = ascending ? r.asc : r.desc;
+      seq = (query || this.withoutDeleted()).orderBy(..._.map(_.uniq([orderBy, pk]), field => direction(field)));
+    }
+
+    if (after) seq = seq.filter(row => isBeyond(row, after, !desc));
+    if (before) seq = seq.filter(row => isBeyond(row, before, desc));
+    // one more row tells whether there is a next page.
+    if (!_.isUndefined(limit)) seq = seq.limit(limit + 1);
+    return seq.coerceTo('array');
+  }
+
+  toConnection(rows, options = {}) {
+    const { first, after, last, before, orderBy = this.pk } = options;
+    const backward = !_.isUndefined(last);
+    const limit = backward ? last : first;
+    const hasMore = !_.isUndefined(limit) && rows.length > limit;
+    const nodes = hasMore ? _.take(rows, limit) : [...rows];
+    if (backward) nodes.reverse();
+    const edges = _.map(nodes, node => ({ cursor: encodeCursor([node[orderBy], node[this.pk]]), node }));
+    return {
+      edges,
+      pageInfo: {
+        hasNextPage: backward ? !!before : hasMore,
+        hasPreviousPage: backward ? hasMore : !!after,
+        startCursor: _.get(_.head(edges), 'cursor', null),
+        endCursor: _.get(_.last(edges), 'cursor', null),
+      },
+    };
+  }
+
+  paginateRelated(pk, relationName, options = {}) {
+    const relation = this.getRelation(relationName);
+    assert.ok(
+      _.includes(MANY_RELATION_TYPES, relation.type),
+      `Relation '${this.tableName}.${relationName}' is not paginatable.`
+    );
+    const query = this.queryRelated(pk, relationName, options);
+    return relation.targetTable.paginate(query, options);
+  }
+
+  getRelatedConnection(pk, relationName, connectionArgs = {}) {
+    const relation = this.getRelation(relationName);
+    const { targetTable } = relation;
+    assert.ok(targetTable, `Relation '${this.tableName}.${relationName}' is not paginatable.`);
+    const { connection, ...pageArgs } = connectionArgs;
+    let args = pageArgs;
+    if (_.includes(MANY_RELATION_TYPES, relation.type) && !_.isNil(relation.orderBy) && _.isUndefined(args.orderBy)) {
+      const orderBy = parseOrderBy(relation.orderBy);
+      assert.ok(
+        orderBy,
+        `orderBy of relation '${this.tableName}.${relationName}' can't be paginated, pass orderBy of a field.`
+      );
+      args = { ...orderBy, ...args };
+    }
+    // pagination takes over the sort and the limit of the relation.
+    const query = this.queryRelatedRows(pk, relationName, args);
+
+    const connectionQuery = r.expr({
+      rows: targetTable.queryPage(query, args),
+      totalCount: query.count(),
+    });
+    return this.run(connectionQuery, { connection }).then(({ rows, totalCount }) => ({
+      ...targetTable.toConnection(rows, args),
+      totalCount,
+    }));
   }
 
   getRelation(relation) {
@@ -216,26 +1147,53 @@ export default class Table {
     return relationObj;
   }
 
+  getJoinFields(relationName) {
+    const relation = this.getRelation(relationName);
+    if (relation.joinFields) return relation.joinFields;
+    if (relation.type === 'belongsTo') return [relation.link.left.field];
+    if (relation.type === 'belongsToMany') return [_.head(relation.link).right.field];
+    return [relation.link.right.field];
+  }
+
   withJoin(query, relations) {
-    const joinedQuery = query.merge(row =>
-      _.chain(relations)
-        .omitBy((relations, key) => _.startsWith(key, '_'))
-        .reduce((joinObject, relations, key) => {
-          let relatedQuery = this.getRelated(row, key);
+    const { fields } = relations;
+    const isProjected = _.isArray(fields);
+    const relationSpecs = getRelationSpecs(relations);
+
+    // fields which relations are joined by are kept.
+    let joinedQuery = isProjected ?
+      query.pluck(..._.uniq([...fields, ..._.flatMap(_.keys(relationSpecs), key => this.getJoinFields(key))])) :
+      query;
+
+    if (!_.isEmpty(relationSpecs)) {
+      joinedQuery = joinedQuery.merge(row =>
+        _.reduce(relationSpecs, (joinObject, relations, key) => {
+          const options = _.isPlainObject(relations) ? relations : {};
+          const nestedRelations = _.omitBy(options, (value, key) => _.startsWith(key, '_'));
+          const isNested = !_.isEmpty(nestedRelations) && !options._count;
+          const { targetTable } = this.getRelation(key);
+          if (isNested) assert.ok(targetTable, `Relation '${this.tableName}.${key}' can't join nested relations.`);
+
+          // plucked rows keep the fields which nested relations are joined by.
+          const relatedOptions = isNested && options._pluck ? {
+            ...options,
+            _pluck: _.uniq([
+              ..._.castArray(options._pluck),
+              ..._.flatMap(_.keys(getRelationSpecs(nestedRelations)), key => targetTable.getJoinFields(key)),
+            ]),
+          } : options;
+          let relatedQuery = this.getRelated(row, key, relatedOptions);
 
           // if nested
-          if (_.isObject(relations) && !_.isEmpty(relations)) {
-            const { targetTable } = this.getRelation(key);
-            relatedQuery = targetTable.withJoin(relatedQuery, relations);
-          }
+          if (isNested) relatedQuery = targetTable.withJoin(relatedQuery, nestedRelations);
 
           return {
             ...joinObject,
             [key]: relatedQuery,
           };
         }, {})
-        .value()
-    );
+      );
+    }
 
     return r.branch(
       query.typeOf().eq('NULL').not(),
@@ -244,9 +1202,47 @@ export default class Table {
     );
   }
 
+  withAggregates(query, aggregates) {
+    const aggregatedQuery = query.merge(row =>
+      _.mapValues(aggregates, aggregate => this.queryAggregate(row, aggregate))
+    );
+    return r.branch(
+      query.typeOf().eq('NULL').not(),
+      aggregatedQuery,
+      query
+    );
+  }
+
+  queryAggregate(pk, aggregate) {
+    const { relation: relationName, op, field } = aggregate;
+    assert.ok(_.includes(AGGREGATE_OPS, op), `Aggregate op '${op}' is not supported.`);
+    assert.ok(op === 'count' || op === 'exists' || _.isString(field), `Aggregate op '${op}' needs field.`);
+    const query = this.queryRelatedRows(pk, relationName, aggregate);
+
+    if (op === 'count') return query.count();
+    if (op === 'exists') return query.isEmpty().not();
+    if (op === 'sum') return query(field).sum();
+    return query(field)[op]().default(null);
+  }
+
+  whereHas(query, relationName, fn = query => query) {
+    return query.filter(row => this.queryHasRelated(row, relationName, fn));
+  }
+
+  whereDoesntHave(query, relationName, fn = query => query) {
+    return query.filter(row => this.queryHasRelated(row, relationName, fn).not());
+  }
+
+  queryHasRelated(pk, relationName, fn = query => query) {
+    return fn(this.queryRelatedRows(pk, relationName)).isEmpty().not();
+  }
+
   getRelated(pk, relationName, options = {}) {
     const relation = this.getRelation(relationName);
-    const query = this.queryRelated(pk, relationName, options);
+    const { pluck, count } = parseRelationOptions(options);
+    let query = this.queryRelated(pk, relationName, options);
+    if (count) return query.count();
+    if (pluck) query = query.pluck(..._.castArray(pluck));
     return relation.coerceType(query);
   }
 
@@ -256,14 +1252,27 @@ export default class Table {
     return relation.query(index, parseRelationOptions(options));
   }
 
+  // related rows regardless of the default order and limit of many relations.
+  queryRelatedRows(pk, relationName, options = {}) {
+    const relation = this.getRelation(relationName);
+    if (_.includes(MANY_RELATION_TYPES, relation.type)) {
+      return this.queryRelated(pk, relationName, { _orderBy: null, _limit: null, ...options });
+    }
+    return this.queryRelated(pk, relationName, options).limit(1);
+  }
+
   createRelation(relationName, onePk, otherPk) {
     const relation = this.getRelation(relationName);
-    return relation.create(onePk, otherPk);
+    const context = this.runBeforeHooks('beforeCreateRelation', { relationName, onePk, otherPk });
+    const query = relation.create(context.onePk, context.otherPk);
+    return this.withAfterHooks('afterCreateRelation', query, context);
   }
 
   removeRelation(relationName, onePk, otherPk) {
     const relation = this.getRelation(relationName);
-    return relation.remove(onePk, otherPk);
+    const context = this.runBeforeHooks('beforeRemoveRelation', { relationName, onePk, otherPk });
+    const query = relation.remove(context.onePk, context.otherPk);
+    return this.withAfterHooks('afterRemoveRelation', query, context);
   }
 
   hasRelation(relationName, onePk, otherPk) {
@@ -1,5 +1,6 @@
 import { expect } from 'chai';
 import r from 'rethinkdb';
+import _ from 'lodash';
 import Table from '../Table';
 import schema from '../schema';
 import Environment from '../Environment';
@@ -147,5 +148,185 @@ describe('Environment', () => {
       expect(await r.tableList().contains('foo').run(connection)).to.be.true;
       expect(await r.tableList().contains('bar').run(connection)).to.be.true;
     });
+
+    it('should sync tables with pooled connection', async () => {
+      const env = new Environment({ pool: {} });
+      env.createTable({
+        tableName: 'foo',
+        schema: () => ({}),
+        index: { pooled: true },
+      });
+
+      await env.sync({ rebuild: true });
+      expect(await r.table('foo').indexList().contains('pooled').run(connection)).to.be.true;
+      expect((await env.plan()).foo.indexes.create).to.be.empty;
+      await env.drain();
+    });
+
+    it('should sync tables in parallel', async () => {
+      await r.branch(r.tableList().contains('parallelFoo'), r.tableDrop('parallelFoo'), null).run(connection);
+      await r.branch(r.tableList().contains('parallelBar'), r.tableDrop('parallelBar'), null).run(connection);
+      const env = new Environment({});
+      env.createTable({
+        tableName: 'parallelFoo',
+        schema: () => ({}),
+        index: { foo: true },
+      });
+      env.createTable({
+        tableName: 'parallelBar',
+        schema: () => ({}),
+        index: { bar: true },
+      });
+
+      const events = [];
+      const diffs = await env.sync(connection, {
+        parallel: true,
+        concurrency: 2,
+        onProgress: event => events.push(event),
+      });
+
+      expect(diffs).to.have.deep.property('parallelFoo.added').that.deep.equals(['foo']);
+      expect(diffs).to.have.deep.property('parallelBar.added').that.deep.equals(['bar']);
+      expect(await r.table('parallelFoo').indexStatus('foo').nth(0)('ready').run(connection)).to.be.true;
+      expect(await r.table('parallelBar').indexStatus('bar').nth(0)('ready').run(connection)).to.be.true;
+      expect(events).to.have.length(6);
+      expect(_.last(events)).to.include({ step: 'waitIndexes', completed: 2, total: 2 });
+    });
+
+    it('should throw error when concurrency is less than 1', async () => {
+      const env = new Environment({});
+      let error;
+      await env.sync(connection, { parallel: true, concurrency: 0 })
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+      expect(error.message).to.contain('concurrency');
+    });
+  });
+
+  describe('db', () => {
+    before(async () => {
+      await r.branch(r.dbList().contains('nothinkdbOther'), r.dbDrop('nothinkdbOther'), null).run(connection);
+    });
+
+    it('should bind tables to database', async () => {
+      const env = new Environment({ db: 'nothinkdbOther' });
+      const fooTable = env.createTable({
+        tableName: 'foo',
+        schema: () => ({}),
+      });
+      expect(fooTable.db).to.equal('nothinkdbOther');
+
+      await env.sync(connection);
+      expect(await r.db('nothinkdbOther').tableList().contains('foo').run(connection)).to.be.true;
+
+      await fooTable.insert({ id: 'a' }).run(connection);
+      expect(await r.db('nothinkdbOther').table('foo').get('a').run(connection)).to.deep.equal({ id: 'a' });
+    });
+  });
+
+  describe('plan', () => {
+    before(async () => {
+      await r.branch(r.tableList().contains('planned'), r.tableDrop('planned'), null).run(connection);
+      await r.branch(r.tableList().contains('_plannedIndexes'), r.tableDrop('_plannedIndexes'), null).run(connection);
+    });
+
+    it('should plan sync without writing', async () => {
+      const env = new Environment({ indexTableName: '_plannedIndexes' });
+      env.createTable({
+        tableName: 'planned',
+        schema: () => ({}),
+        index: { foo: true },
+      });
+
+      expect(await env.plan(connection)).to.deep.equal({
+        planned: {
+          createDb: false,
+          createTable: true,
+          createIndexTable: true,
+          indexTableName: '_plannedIndexes',
+          config: {},
+          indexes: { create: ['foo'], rebuild: [], record: [], drop: [], changed: [], unverified: [], orphaned: [] },
+        },
+      });
+      expect(await r.tableList().contains('planned').run(connection)).to.be.false;
+      expect(await r.tableList().contains('_plannedIndexes').run(connection)).to.be.false;
+
+      await env.sync(connection);
+      expect(await env.plan(connection)).to.deep.equal({
+        planned: {
+          createDb: false,
+          createTable: false,
+          createIndexTable: false,
+          indexTableName: '_plannedIndexes',
+          config: {},
+          indexes: { create: [], rebuild: [], record: [], drop: [], changed: [], unverified: [], orphaned: [] },
+        },
+      });
+      expect(await r.table('_plannedIndexes').get('planned.foo').run(connection)).to.be.ok;
+    });
+
+    it('should throw error when table is named as the table of index records', () => {
+      const env = new Environment({ indexTableName: '_plannedIndexes' });
+      expect(() => env.createTable({ tableName: '_plannedIndexes', schema: () => ({}) })).to.throw(Error);
+    });
+  });
+
+  describe('migrate & rollback', () => {
+    let env;
+    const migrated = [];
+
+    beforeEach(async () => {
+      await r.branch(r.tableList().contains('_migrations'), r.tableDrop('_migrations'), null).run(connection);
+      migrated.length = 0;
+      env = new Environment({
+        migrations: [{
+          name: '001-first',
+          up: async (conn, tables) => { migrated.push(['up', 'first', tables]); },
+          down: async () => { migrated.push(['down', 'first']); },
+        }, {
+          name: '002-second',
+          up: async () => { migrated.push(['up', 'second']); },
+          down: async () => { migrated.push(['down', 'second']); },
+        }],
+      });
+    });
+
+    it('should run pending migrations', async () => {
+      expect(await env.migrate(connection)).to.deep.equal(['001-first', '002-second']);
+      expect(migrated[0][2]).to.equal(env.tables);
+      expect(await env.migrate(connection)).to.deep.equal([]);
+      expect(
+        await r.table('_migrations')('id').coerceTo('array').run(connection)
+      ).to.have.members(['001-first', '002-second']);
+    });
+
+    it('should migrate to given migration', async () => {
+      expect(await env.migrate(connection, { to: '001-first' })).to.deep.equal(['001-first']);
+      expect(await env.migrate(connection, { to: '002-second' })).to.deep.equal(['002-second']);
+      await env.migrate(connection, { to: '001-first' });
+      expect(migrated[migrated.length - 1]).to.deep.equal(['down', 'second']);
+    });
+
+    it('should migrate & rollback with pooled connection', async () => {
+      const pooledEnv = new Environment({
+        pool: {},
+        migrations: [{ name: '001-first', up: async () => {}, down: async () => {} }],
+      });
+      expect(await pooledEnv.migrate()).to.deep.equal(['001-first']);
+      expect(await pooledEnv.rollback({ step: 1 })).to.deep.equal(['001-first']);
+      await pooledEnv.drain();
+    });
+
+    it('should rollback last migration', async () => {
+      await env.migrate(connection);
+      expect(await env.rollback(connection)).to.deep.equal(['002-second']);
+      expect(await env.rollback(connection)).to.deep.equal(['001-first']);
+      expect(await env.rollback(connection)).to.deep.equal([]);
+      expect(await r.table('_migrations').count().run(connection)).to.equal(0);
+    });
+
+    it('should throw error if migration name is duplicated', () => {
+      expect(() => env.addMigration({ name: '001-first', up: () => {} })).to.throw(Error);
+    });
   });
 });
@@ -0,0 +1,157 @@
+import { expect } from 'chai';
+import r from 'rethinkdb';
+import Environment from '../Environment';
+import schema from '../schema';
+import { hasOne, hasMany, belongsTo, belongsToMany } from '../relations';
+
+
+describe('Loader', () => {
+  let connection;
+  let env;
+  let fooTable;
+  let barTable;
+  let tagTable;
+  let barTagTable;
+
+  before(async () => {
+    connection = await r.connect({});
+    await r.branch(r.dbList().contains('test').not(), r.dbCreate('test'), null).run(connection);
+
+    env = new Environment({});
+    fooTable = env.createTable({
+      tableName: 'loaderFoo',
+      schema: () => ({
+        ...schema,
+      }),
+      relations: () => ({
+        bars: hasMany(fooTable.linkedBy(barTable, 'fooId')),
+        lastBars: hasMany(fooTable.linkedBy(barTable, 'fooId'), { orderBy: r.desc('id'), limit: 2 }),
+        lastBar: hasOne(fooTable.linkedBy(barTable, 'fooId'), { orderBy: r.desc('id') }),
+      }),
+    });
+    barTable = env.createTable({
+      tableName: 'loaderBar',
+      schema: () => ({
+        ...schema,
+        fooId: fooTable.getForeignKey(),
+      }),
+      relations: () => ({
+        foo: belongsTo(barTable.linkTo(fooTable, 'fooId')),
+        tags: belongsToMany([
+          barTable.linkedBy(barTagTable, 'barId'),
+          barTagTable.linkTo(tagTable, 'tagId'),
+        ]),
+      }),
+    });
+    tagTable = env.createTable({
+      tableName: 'loaderTag',
+      schema: () => ({
+        ...schema,
+      }),
+    });
+    barTagTable = env.createTable({
+      tableName: 'loaderBarTag',
+      schema: () => ({
+        ...schema,
+        barId: barTable.getForeignKey({ isManyToMany: true }),
+        tagId: tagTable.getForeignKey({ isManyToMany: true }),
+      }),
+    });
+    await env.sync(connection);
+  });
+
+  after(async () => {
+    await connection.close();
+  });
+
+  describe('get', () => {
+    it('should load rows with one query & cache them', async () => {
+      const foo1 = fooTable.create({});
+      const foo2 = fooTable.create({});
+      await fooTable.insert([foo1, foo2]).run(connection);
+
+      const loader = env.createLoader({ connection });
+      let queryCount = 0;
+      const { run } = loader;
+      loader.run = query => {
+        queryCount += 1;
+        return run.call(loader, query);
+      };
+
+      const [fetchedFoo1, fetchedFoo2, nothing] = await Promise.all([
+        loader.get(fooTable, foo1.id),
+        loader.get('loaderFoo', foo2.id),
+        loader.get(fooTable, 'nothing'),
+      ]);
+      expect(fetchedFoo1).to.have.property('id', foo1.id);
+      expect(fetchedFoo2).to.have.property('id', foo2.id);
+      expect(nothing).to.be.null;
+      expect(queryCount).to.equal(1);
+
+      expect(await loader.get(fooTable, foo1.id)).to.equal(fetchedFoo1);
+      expect(queryCount).to.equal(1);
+    });
+  });
+
+  describe('getRelated', () => {
+    it('should batch related rows of each relation', async () => {
+      const foo1 = fooTable.create({});
+      const foo2 = fooTable.create({});
+      const bar1 = barTable.create({ fooId: foo1.id });
+      const bar2 = barTable.create({ fooId: foo1.id });
+      const bar3 = barTable.create({ fooId: foo2.id });
+      const tag = tagTable.create({});
+      await fooTable.insert([foo1, foo2]).run(connection);
+      await barTable.insert([bar1, bar2, bar3]).run(connection);
+      await tagTable.insert(tag).run(connection);
+      await barTable.createRelation('tags', bar1.id, tag.id).run(connection);
+
+      const loader = env.createLoader({ connection });
+      const [bars1, bars2, fetchedFoo, tags1, tags3] = await Promise.all([
+        loader.getRelated(fooTable, foo1.id, 'bars'),
+        loader.getRelated(fooTable, foo2.id, 'bars'),
+        loader.getRelated(barTable, bar3.id, 'foo'),
+        loader.getRelated(barTable, bar1.id, 'tags'),
+        loader.getRelated(barTable, bar3.id, 'tags'),
+      ]);
+      expect(bars1.map(bar => bar.id)).to.have.members([bar1.id, bar2.id]);
+      expect(bars2.map(bar => bar.id)).to.deep.equal([bar3.id]);
+      expect(fetchedFoo).to.have.property('id', foo2.id);
+      expect(tags1.map(fetchedTag => fetchedTag.id)).to.deep.equal([tag.id]);
+      expect(tags3).to.be.empty;
+    });
+
+    it('should apply default query options of relations', async () => {
+      const foo1 = fooTable.create({});
+      const foo2 = fooTable.create({});
+      const bars = [
+        barTable.create({ id: 'loader1', fooId: foo1.id }),
+        barTable.create({ id: 'loader2', fooId: foo1.id }),
+        barTable.create({ id: 'loader3', fooId: foo1.id }),
+      ];
+      await fooTable.insert([foo1, foo2]).run(connection);
+      await barTable.insert(bars).run(connection);
+
+      const loader = env.createLoader({ connection });
+      let queryCount = 0;
+      const { run } = loader;
+      loader.run = query => {
+        queryCount += 1;
+        return run.call(loader, query);
+      };
+
+      const [lastBars1, lastBars2, lastBar1, lastBar2] = await Promise.all([
+        loader.getRelated(fooTable, foo1.id, 'lastBars'),
+        loader.getRelated(fooTable, foo2.id, 'lastBars'),
+        loader.getRelated(fooTable, foo1.id, 'lastBar'),
+        loader.getRelated(fooTable, foo2.id, 'lastBar'),
+      ]);
+      expect(lastBars1).to.deep.equal(await fooTable.getRelated(foo1.id, 'lastBars').run(connection));
+      expect(lastBars1.map(bar => bar.id)).to.deep.equal(['loader3', 'loader2']);
+      expect(lastBars2).to.be.empty;
+      expect(lastBar1).to.have.property('id', 'loader3');
+      expect(lastBar2).to.be.null;
+      expect(queryCount).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { expect } from 'chai';
+import r from 'rethinkdb';
+import Pool from '../Pool';
+
+
+describe('Pool', () => {
+  describe('run', () => {
+    it('should run query with pooled connection', async () => {
+      const pool = new Pool({});
+      expect(await pool.run(r.expr(1))).to.equal(1);
+      expect(pool.connections).to.have.length(1);
+      expect(pool.idle).to.have.length(1);
+      await pool.drain();
+    });
+
+    it('should not open connections more than size', async () => {
+      const pool = new Pool({ size: 2 });
+      const results = await Promise.all([1, 2, 3, 4].map(value => pool.run(r.expr(value))));
+      expect(results).to.deep.equal([1, 2, 3, 4]);
+      expect(pool.connections).to.have.length(2);
+      await pool.drain();
+    });
+  });
+
+  describe('acquire & release', () => {
+    it('should replace closed connection', async () => {
+      const pool = new Pool({ size: 1 });
+      const connection = await pool.acquire();
+      pool.release(connection);
+      await connection.close();
+
+      const otherConnection = await pool.acquire();
+      expect(otherConnection).to.not.equal(connection);
+      expect(otherConnection.isOpen()).to.be.true;
+      pool.release(otherConnection);
+      await pool.drain();
+    });
+
+    it('should retry connecting with backoff', async () => {
+      const pool = new Pool({ connect: { port: 1 }, retryDelay: 10, maxRetries: 2 });
+      const startedAt = Date.now();
+      let error;
+      await pool.acquire().catch(err => { error = err; });
+      expect(error).to.be.instanceOf(r.Error.ReqlDriverError);
+      expect(Date.now() - startedAt).to.be.at.least(30);
+      expect(pool.connections).to.be.empty;
+      await pool.drain();
+    });
+  });
+
+  describe('checkHealth', () => {
+    it('should remove unhealthy connections', async () => {
+      const pool = new Pool({});
+      const connection = await pool.acquire();
+      pool.release(connection);
+      connection.open = false;
+
+      await pool.checkHealth();
+      expect(pool.idle).to.be.empty;
+      await pool.drain();
+    });
+  });
+
+  describe('drain', () => {
+    it('should wait for borrowed connections & close all', async () => {
+      const pool = new Pool({});
+      const connection = await pool.acquire();
+      const draining = pool.drain();
+
+      let error;
+      await pool.acquire().catch(err => { error = err; });
+      expect(error).to.have.property('message', 'Pool is draining.');
+
+      pool.release(connection);
+      await draining;
+      expect(connection.isOpen()).to.be.false;
+      expect(pool.connections).to.be.empty;
+    });
+
+    it('should resolve when retrying connection fails', async () => {
+      const pool = new Pool({ connect: { port: 1 }, retryDelay: 10, maxRetries: 2 });
+      const acquiring = pool.acquire().catch(err => err);
+      const draining = pool.drain();
+
+      expect(await acquiring).to.be.instanceOf(r.Error.ReqlDriverError);
+      await draining;
+      expect(pool.connections).to.be.empty;
+    });
+  });
+});
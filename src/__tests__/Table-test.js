@@ -74,6 +74,57 @@ describe('Table', () => {
     });
   });
 
+  describe('validatePartial', () => {
+    const fooTable = new Table({
+      tableName: 'foo',
+      schema: () => ({
+        name: Joi.string().required(),
+        age: Joi.number(),
+        profile: Joi.object({
+          bio: Joi.string().required(),
+          nickname: Joi.string(),
+        }),
+      }),
+    });
+
+    it('should ignore required fields which are not given', () => {
+      expect(fooTable.validatePartial({ age: 10 })).to.be.true;
+      expect(fooTable.validatePartial({ profile: { nickname: 'foo' } })).to.be.true;
+    });
+
+    it('should return false when given field is invalid', () => {
+      expect(fooTable.validatePartial({ age: 'foo' })).to.be.false;
+      expect(fooTable.validatePartial({ profile: { nickname: 1 } })).to.be.false;
+    });
+
+    it('should return false when unknown field is given', () => {
+      expect(fooTable.validatePartial({ unknown: 'foo' })).to.be.false;
+    });
+
+    it('should skip reql terms', () => {
+      expect(fooTable.validatePartial({ age: r.row('age').add(1) })).to.be.true;
+    });
+  });
+
+  describe('attemptPartial', () => {
+    const fooTable = new Table({
+      tableName: 'foo',
+      schema: () => ({
+        name: Joi.string().required(),
+        age: Joi.number(),
+      }),
+    });
+
+    it('should return data when valid', () => {
+      expect(fooTable.attemptPartial({ age: 10 })).to.deep.equal({ age: 10 });
+    });
+
+    it('should throw error listing every invalid field', () => {
+      expect(() => fooTable.attemptPartial({ name: 1, age: 'foo', unknown: 'foo' }))
+        .to.throw(/"name".*"age".*"unknown"/);
+    });
+  });
+
   describe('hasField', () => {
     it('should return true when specified fieldName is given', () => {
       const fooTable = new Table({
@@ -156,7 +207,7 @@ describe('Table', () => {
       const fooTable = new Table({
         tableName: 'foo',
         schema: () => ({
-          name: Joi.string().default(() => uuid.v4(), 'pk'),
+          name: Joi.string().default(() => uuid.v4(), 'pk').meta({ index: true }),
         }),
       });
 
@@ -292,6 +343,137 @@ describe('Table', () => {
       expect(await r.tableList().contains('syncTable').run(connection)).to.be.true;
       expect(await r.table('syncTable').indexList().contains('foobar').run(connection)).to.be.true;
     });
+
+    it('should create table with config & reconfigure changed config', async () => {
+      await r.branch(r.tableList().contains('configTable'), r.tableDrop('configTable'), null).run(connection);
+      const options = {
+        tableName: 'configTable',
+        pk: 'key',
+        schema: () => ({
+          key: Joi.string(),
+        }),
+      };
+      await new Table({ ...options, durability: 'soft' }).sync(connection);
+      const config = await r.table('configTable').config().run(connection);
+      expect(config).to.have.property('primary_key', 'key');
+      expect(config).to.have.property('durability', 'soft');
+
+      const configTable = new Table({ ...options, durability: 'hard', shards: 2 });
+      expect(await configTable.diffConfig(connection)).to.deep.equal({
+        durability: { current: 'soft', declared: 'hard' },
+        shards: { current: 1, declared: 2 },
+      });
+      await configTable.sync(connection);
+      expect(await configTable.diffConfig(connection)).to.deep.equal({});
+    });
+
+    it('should report and rebuild drifted indexes', async () => {
+      await r.branch(r.tableList().contains('driftTable'), r.tableDrop('driftTable'), null).run(connection);
+      const options = {
+        tableName: 'driftTable',
+        schema: () => ({
+          foo: Joi.string(),
+          bar: Joi.string(),
+        }),
+      };
+      const oldTable = new Table({
+        ...options,
+        index: { value: r.row('foo'), stale: r.row('bar') },
+      });
+      expect(await oldTable.sync(connection)).to.deep.equal({
+        added: ['value', 'stale'],
+        changed: [],
+        unverified: [],
+        orphaned: [],
+      });
+
+      const newTable = new Table({
+        ...options,
+        index: { value: r.row('bar'), fresh: true },
+      });
+      expect(await newTable.diffIndexes(connection)).to.deep.equal({
+        added: ['fresh'],
+        changed: ['value'],
+        unverified: [],
+        orphaned: ['stale'],
+      });
+
+      await newTable.sync(connection, { rebuild: true, dropOrphans: true });
+      await newTable.insert({ id: '1', foo: 'a', bar: 'b' }).run(connection);
+      expect(await r.table('driftTable').getAll('b', { index: 'value' }).count().run(connection)).to.equal(1);
+      expect(await r.table('driftTable').indexList().run(connection)).to.have.members(['value', 'fresh']);
+      expect(await newTable.diffIndexes(connection)).to.deep.equal({
+        added: [],
+        changed: [],
+        unverified: [],
+        orphaned: [],
+      });
+    });
+
+    it('should report indexes created or changed outside of sync', async () => {
+      await r.branch(r.tableList().contains('driftTable'), r.tableDrop('driftTable'), null).run(connection);
+      const driftTable = new Table({
+        tableName: 'driftTable',
+        schema: () => ({
+          foo: Joi.string(),
+          bar: Joi.string(),
+        }),
+        index: { value: r.row('foo'), other: r.row('bar') },
+      });
+      await r.tableCreate('driftTable').run(connection);
+      await r.table('driftTable').indexCreate('value', r.row('bar')).run(connection);
+      expect(await driftTable.sync(connection)).to.deep.equal({
+        added: ['other'],
+        changed: [],
+        unverified: ['value'],
+        orphaned: [],
+      });
+
+      await r.table('driftTable').indexDrop('other').run(connection);
+      await r.table('driftTable').indexCreate('other', r.row('foo')).run(connection);
+      expect(await driftTable.diffIndexes(connection)).to.deep.equal({
+        added: [],
+        changed: ['other'],
+        unverified: ['value'],
+        orphaned: [],
+      });
+
+      await driftTable.sync(connection, { rebuild: true });
+      await driftTable.insert({ id: '1', foo: 'a', bar: 'b' }).run(connection);
+      expect(await r.table('driftTable').getAll('a', { index: 'value' }).count().run(connection)).to.equal(1);
+      expect(await driftTable.diffIndexes(connection)).to.deep.equal({
+        added: [],
+        changed: [],
+        unverified: [],
+        orphaned: [],
+      });
+    });
+
+    it('should record unverified indexes as declared', async () => {
+      await r.branch(r.tableList().contains('driftTable'), r.tableDrop('driftTable'), null).run(connection);
+      const driftTable = new Table({
+        tableName: 'driftTable',
+        schema: () => ({
+          foo: Joi.string(),
+        }),
+        index: { value: r.row('foo') },
+      });
+      await r.tableCreate('driftTable').run(connection);
+      await r.table('driftTable').indexCreate('value', r.row('foo')).run(connection);
+      const { indexes } = await driftTable.plan(connection, { rebuild: true, recordUnverified: true });
+      expect(indexes.rebuild).to.be.empty;
+      expect(indexes.record).to.deep.equal(['value']);
+
+      const diff = await driftTable.sync(connection, { rebuild: true, recordUnverified: true });
+      expect(diff.unverified).to.deep.equal(['value']);
+      expect(await r.table('driftTable').indexList().run(connection)).to.deep.equal(['value']);
+      expect(await driftTable.diffIndexes(connection)).to.deep.equal({
+        added: [],
+        changed: [],
+        unverified: [],
+        orphaned: [],
+      });
+    });
   });
 
   describe('query', () => {
@@ -323,7 +505,48 @@ describe('Table', () => {
       const foo = fooTable.attempt({ name: 'foo' });
       await fooTable.insert(foo).run(connection);
       const fetchedfoo = await fooTable.query().get(foo.id).run(connection);
-      expect(foo).to.deep.equal(fetchedfoo);
+      expect(fetchedfoo).to.deep.equal({
+        ...foo,
+        createdAt: fetchedfoo.createdAt,
+        updatedAt: fetchedfoo.updatedAt,
+      });
+    });
+
+    it('should stamp server time on timestamp fields', async () => {
+      const fooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+          name: Joi.string().required(),
+        }),
+      });
+      await fooTable.sync(connection);
+
+      const foo1 = fooTable.create({ name: 'foo', createdAt: new Date(0) });
+      const foo2 = fooTable.create({ name: 'foo', createdAt: new Date(0) });
+      await fooTable.insert(foo1).run(connection);
+      await fooTable.insert([foo2]).run(connection);
+      const fetchedfoo1 = await fooTable.get(foo1.id).run(connection);
+      const fetchedfoo2 = await fooTable.get(foo2.id).run(connection);
+      expect(fetchedfoo1.createdAt.getTime()).to.not.equal(0);
+      expect(fetchedfoo2.createdAt.getTime()).to.not.equal(0);
+      expect(fetchedfoo1.updatedAt.getTime()).to.equal(fetchedfoo1.createdAt.getTime());
+    });
+  });
+
+  describe('getTimestampFields', () => {
+    it('should return flagged fields and fields named createdAt & updatedAt', () => {
+      const fooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          id: schema.id,
+          createdAt: Joi.date(),
+          updatedAt: Joi.date().meta({ updateTimestamp: false }),
+          modified: Joi.date().meta({ updateTimestamp: true }),
+        }),
+      });
+      expect(fooTable.getTimestampFields('createTimestamp')).to.deep.equal(['createdAt']);
+      expect(fooTable.getTimestampFields('updateTimestamp')).to.deep.equal(['modified']);
     });
   });
 
@@ -341,7 +564,11 @@ describe('Table', () => {
       const foo = fooTable.attempt({ name: 'foo' });
       await fooTable.insert(foo).run(connection);
       const fetchedfoo = await fooTable.get(foo.id).run(connection);
-      expect(foo).to.deep.equal(fetchedfoo);
+      expect(fetchedfoo).to.deep.equal({
+        ...foo,
+        createdAt: fetchedfoo.createdAt,
+        updatedAt: fetchedfoo.updatedAt,
+      });
     });
   });
 
@@ -378,6 +605,20 @@ describe('Table', () => {
       expect(fetchedfoo).to.have.property('name', 'bar');
       expect(fetchedfoo.updatedAt.getTime()).to.not.equal(beforeUpdatedAt.getTime());
     });
+
+    it('should not overwrite createdAt', async () => {
+      const foo = fooTable.create({ name: 'foo' });
+      await fooTable.insert(foo).run(connection);
+      const { createdAt } = await fooTable.get(foo.id).run(connection);
+      await fooTable.update(foo.id, { createdAt: new Date(0) }).run(connection);
+      const fetchedfoo = await fooTable.get(foo.id).run(connection);
+      expect(fetchedfoo.createdAt.getTime()).to.equal(createdAt.getTime());
+    });
+
+    it('should throw error when invalid data is given', () => {
+      expect(() => fooTable.update('fooId', { name: 1 })).to.throw(Error);
+      expect(() => fooTable.update('fooId', { unknown: 'foo' })).to.throw(Error);
+    });
   });
 
   describe('insert& update', () => {
@@ -412,6 +653,129 @@ describe('Table', () => {
         .then(() => { throw new Error(); })
         .catch(() => {});
     });
+
+    it('should not throw error if updated row has same value', async () => {
+      const foo = fooTable.create({ name: 'self' });
+      await fooTable.insert(foo).run(connection);
+      await fooTable.update(foo.id, { name: 'self' }).run(connection);
+      await fooTable.update([foo.id], { name: 'self' }).run(connection);
+    });
+
+    it('should throw error if same value is updated to multiple rows', async () => {
+      const foo1 = fooTable.create({ name: 'multi1' });
+      const foo2 = fooTable.create({ name: 'multi2' });
+      await fooTable.insert([foo1, foo2]).run(connection);
+      let error;
+      await fooTable.update([foo1.id, foo2.id], { name: 'multi1' }).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+    });
+
+    it('should throw error if rows in batch are duplicated', async () => {
+      const foo1 = fooTable.create({ name: 'batch' });
+      const foo2 = fooTable.create({ name: 'batch' });
+      let error;
+      await fooTable.insert([foo1, foo2]).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+      expect(error.msg).to.contain('rows [0,1]');
+      expect(await fooTable.get(foo1.id).run(connection)).to.be.null;
+    });
+
+    it('should throw error if some rows in batch already exist', async () => {
+      const foo1 = fooTable.create({ name: 'batch1' });
+      const foo2 = fooTable.create({ name: EXIST_NAME });
+      let error;
+      await fooTable.insert([foo1, foo2]).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+      expect(error.msg).to.contain('of row 1 already exist');
+      expect(await fooTable.get(foo1.id).run(connection)).to.be.null;
+    });
+  });
+
+  describe('compound unique', () => {
+    let fooTable;
+
+    before(async () => {
+      fooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+          orgId: Joi.string(),
+          slug: Joi.string(),
+        }),
+        unique: {
+          orgSlug: ['orgId', 'slug'],
+        },
+      });
+      await fooTable.sync(connection);
+      await fooTable.query().delete().run(connection);
+    });
+
+    it('should ensure compound unique index', async () => {
+      expect(await fooTable.query().indexList().contains('orgSlug').run(connection)).to.be.true;
+    });
+
+    it('should throw error if compound fields already exist', async () => {
+      const foo1 = fooTable.create({ orgId: 'org1', slug: 'foo' });
+      const foo2 = fooTable.create({ orgId: 'org2', slug: 'foo' });
+      await fooTable.insert([foo1, foo2]).run(connection);
+
+      let error;
+      await fooTable.insert(fooTable.create({ orgId: 'org1', slug: 'foo' })).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+      expect(error.msg).to.contain('"orgId", "slug" fields are unique');
+    });
+
+    it('should check partially updated compound fields with stored row', async () => {
+      const foo1 = fooTable.create({ orgId: 'org3', slug: 'foo' });
+      const foo2 = fooTable.create({ orgId: 'org3', slug: 'bar' });
+      await fooTable.insert([foo1, foo2]).run(connection);
+
+      let error;
+      await fooTable.update(foo2.id, { slug: 'foo' }).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+
+      await fooTable.update(foo1.id, { slug: 'foo' }).run(connection);
+      await fooTable.update(foo2.id, { orgId: 'org4' }).run(connection);
+    });
+  });
+
+  describe('replace', () => {
+    it('should replace data and keep createdAt', async () => {
+      const fooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+          name: Joi.string().required(),
+        }),
+      });
+      await fooTable.sync(connection);
+
+      const foo = fooTable.create({ name: 'foo' });
+      await fooTable.insert(foo).run(connection);
+      const { createdAt, updatedAt } = await fooTable.get(foo.id).run(connection);
+
+      await fooTable.replace(foo.id, fooTable.create({ id: foo.id, name: 'bar', createdAt: new Date(0) })).run(connection);
+      const fetchedfoo = await fooTable.get(foo.id).run(connection);
+      expect(fetchedfoo).to.have.property('name', 'bar');
+      expect(fetchedfoo.createdAt.getTime()).to.equal(createdAt.getTime());
+      expect(fetchedfoo.updatedAt.getTime()).to.not.equal(updatedAt.getTime());
+    });
+
+    it('should throw error with function data', () => {
+      const fooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+          name: Joi.string().required(),
+        }),
+      });
+      expect(() => fooTable.replace('fooId', row => row.without('name'))).to.throw(/should be an object/);
+    });
   });
 
   describe('delete', () => {
@@ -433,6 +797,279 @@ describe('Table', () => {
     });
   });
 
+  describe('paginate', () => {
+    const pageTable = new Table({
+      tableName: 'page',
+      schema: () => ({
+        id: Joi.string(),
+        rank: Joi.number().meta({ index: true }),
+      }),
+    });
+
+    before(async () => {
+      await pageTable.sync(connection);
+      await pageTable.withDeleted().delete().run(connection);
+      await pageTable.insert([
+        { id: 'a', rank: 2 },
+        { id: 'b', rank: 1 },
+        { id: 'c', rank: 2 },
+        { id: 'd', rank: 3 },
+        { id: 'e', rank: 1 },
+      ]).run(connection);
+    });
+
+    it('should paginate forward with cursor', async () => {
+      const page1 = await pageTable.paginate(null, { first: 2, orderBy: 'rank', connection });
+      expect(page1.edges.map(edge => edge.node.id)).to.deep.equal(['b', 'e']);
+      expect(page1.pageInfo).to.include({ hasNextPage: true, hasPreviousPage: false });
+
+      const { endCursor } = page1.pageInfo;
+      const page2 = await pageTable.paginate(null, { first: 2, after: endCursor, orderBy: 'rank', connection });
+      expect(page2.edges.map(edge => edge.node.id)).to.deep.equal(['a', 'c']);
+
+      const page3 = await pageTable.paginate(null, {
+        first: 2, after: page2.pageInfo.endCursor, orderBy: 'rank',
+        connection,
+      });
+      expect(page3.edges.map(edge => edge.node.id)).to.deep.equal(['d']);
+      expect(page3.pageInfo).to.include({ hasNextPage: false, hasPreviousPage: true });
+    });
+
+    it('should paginate backward & descending', async () => {
+      const page = await pageTable.paginate(null, { last: 2, orderBy: 'rank', connection });
+      expect(page.edges.map(edge => edge.node.id)).to.deep.equal(['c', 'd']);
+      expect(page.pageInfo).to.include({ hasNextPage: false, hasPreviousPage: true });
+
+      const descPage = await pageTable.paginate(null, {
+        first: 3, orderBy: 'rank', desc: true,
+        connection,
+      });
+      expect(descPage.edges.map(edge => edge.node.id)).to.deep.equal(['d', 'c', 'a']);
+    });
+
+    it('should paginate filtered query', async () => {
+      const query = pageTable.query().filter(row => row('rank').lt(3));
+      const page1 = await pageTable.paginate(query, { first: 3, orderBy: 'rank', connection });
+      expect(page1.edges.map(edge => edge.node.id)).to.deep.equal(['b', 'e', 'a']);
+
+      const page2 = await pageTable.paginate(query, {
+        first: 3, after: page1.pageInfo.endCursor, orderBy: 'rank',
+        connection,
+      });
+      expect(page2.edges.map(edge => edge.node.id)).to.deep.equal(['c']);
+    });
+
+    it('should throw error when cursor is invalid', () => {
+      const notJson = Buffer.from('a,1').toString('base64');
+      const notPair = Buffer.from('[1]').toString('base64');
+      ['invalid', notJson, notPair].forEach(cursor => {
+        expect(() => pageTable.paginate(null, { first: 2, after: cursor })).to.throw(`Invalid cursor '${cursor}'.`);
+      });
+    });
+  });
+
+  describe('softDelete', () => {
+    let fooTable;
+    let barTable;
+
+    before(async () => {
+      fooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+          name: Joi.string().meta({ unique: true }),
+        }),
+        relations: () => ({
+          bar: hasOne(fooTable.linkedBy(barTable, 'fooId')),
+        }),
+        softDelete: true,
+      });
+      barTable = new Table({
+        tableName: 'bar',
+        schema: () => ({
+          ...schema,
+          fooId: fooTable.getForeignKey(),
+        }),
+        softDelete: true,
+      });
+      await fooTable.sync(connection);
+      await barTable.sync(connection);
+      await fooTable.withDeleted().delete().run(connection);
+    });
+
+    it('should hide soft deleted rows', async () => {
+      const foo = fooTable.create({ name: 'softDeleted' });
+      const bar = barTable.create({ fooId: foo.id });
+      await fooTable.insert(foo).run(connection);
+      await barTable.insert(bar).run(connection);
+
+      await barTable.delete(bar.id).run(connection);
+      await fooTable.delete(foo.id).run(connection);
+
+      expect(await fooTable.get(foo.id).run(connection)).to.be.null;
+      expect(await fooTable.withoutDeleted().filter({ id: foo.id }).count().run(connection)).to.equal(0);
+      expect(await fooTable.getRelated(foo.id, 'bar').run(connection)).to.be.null;
+      const fetchedfoo = await fooTable.withJoin(fooTable.withDeleted().get(foo.id), { bar: true }).run(connection);
+      expect(fetchedfoo.bar).to.be.null;
+      expect(fetchedfoo.deletedAt).to.be.ok;
+    });
+
+    it('should keep table terms of query', async () => {
+      const foo1 = fooTable.create({ name: 'tableTerms1' });
+      const foo2 = fooTable.create({ name: 'tableTerms2' });
+      await fooTable.query().insert([foo1, foo2]).run(connection);
+      await fooTable.delete(foo2.id).run(connection);
+
+      const orderedNames = await fooTable.query().orderBy({ index: 'name' })('name').coerceTo('array').run(connection);
+      expect(orderedNames).to.include.members(['tableTerms1', 'tableTerms2']);
+      const visibleNames = await fooTable.hideDeleted(fooTable.query().orderBy({ index: r.desc('name') }))('name')
+        .coerceTo('array').run(connection);
+      expect(visibleNames).to.include('tableTerms1');
+      expect(visibleNames).to.not.include('tableTerms2');
+      expect(visibleNames).to.deep.equal([...visibleNames].sort().reverse());
+
+      const fetchedfoos = await fooTable.hideDeleted(fooTable.query().getAll(foo1.name, foo2.name, { index: 'name' }))
+        .coerceTo('array').run(connection);
+      expect(fetchedfoos).to.have.length(1);
+      expect(fetchedfoos[0]).to.have.property('id', foo1.id);
+
+      await fooTable.get(foo1.id).update({ name: 'tableTerms3' }).run(connection);
+      expect(await fooTable.get(foo1.id).run(connection)).to.have.property('name', 'tableTerms3');
+      expect(await fooTable.get(foo2.id).run(connection)).to.be.null;
+    });
+
+    it('should query soft deleted rows', async () => {
+      const foo = fooTable.create({});
+      await fooTable.insert(foo).run(connection);
+      await fooTable.delete(foo.id).run(connection);
+
+      expect(await fooTable.withDeleted().get(foo.id).run(connection)).to.be.ok;
+      expect(await fooTable.onlyDeleted().filter({ id: foo.id }).count().run(connection)).to.equal(1);
+    });
+
+    it('should restore soft deleted row', async () => {
+      const foo = fooTable.create({});
+      await fooTable.insert(foo).run(connection);
+      await fooTable.delete(foo.id).run(connection);
+      await fooTable.restore(foo.id).run(connection);
+
+      expect(await fooTable.get(foo.id).run(connection)).to.have.property('id', foo.id);
+    });
+
+    it('should ignore soft deleted rows on unique check', async () => {
+      const foo1 = fooTable.create({ name: 'reused' });
+      await fooTable.insert(foo1).run(connection);
+      await fooTable.delete(foo1.id).run(connection);
+
+      const foo2 = fooTable.create({ name: 'reused' });
+      await fooTable.insert(foo2).run(connection);
+      expect(await fooTable.get(foo2.id).run(connection)).to.be.ok;
+    });
+  });
+
+  describe('hooks', () => {
+    let fooTable;
+    let barTable;
+    const events = [];
+
+    before(async () => {
+      fooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+          name: Joi.string(),
+          slug: Joi.string(),
+        }),
+        relations: () => ({
+          bar: hasOne(fooTable.linkedBy(barTable, 'fooId')),
+        }),
+        hooks: {
+          beforeInsert: foo => ({ ...foo, slug: foo.name.toLowerCase() }),
+        },
+      });
+      barTable = new Table({
+        tableName: 'bar',
+        schema: () => ({
+          ...schema,
+          fooId: fooTable.getForeignKey(),
+        }),
+      });
+      fooTable.on('beforeDelete', pk => {
+        if (pk === 'protected') throw new Error('protected');
+      });
+      fooTable.on('afterUpdate', (result, { pk }) => events.push(['afterUpdate', pk, result.replaced]));
+      fooTable.on('afterCreateRelation', (result, { relationName }) => events.push(['afterCreateRelation', relationName]));
+      await fooTable.sync(connection);
+      await barTable.sync(connection);
+    });
+
+    it('should transform data with before hook', async () => {
+      const foo = fooTable.create({ name: 'FOO' });
+      await fooTable.insert(foo).run(connection);
+      const fetchedfoo = await fooTable.get(foo.id).run(connection);
+      expect(fetchedfoo).to.have.property('slug', 'foo');
+    });
+
+    it('should veto operation when before hook throws error', () => {
+      expect(() => fooTable.delete('protected')).to.throw('protected');
+    });
+
+    it('should throw error when before hook returns promise', () => {
+      const bazTable = new Table({
+        tableName: 'baz',
+        schema: () => ({
+          ...schema,
+          password: Joi.string(),
+        }),
+        hooks: {
+          beforeInsert: async baz => ({ ...baz, password: 'hashed' }),
+        },
+      });
+      expect(() => bazTable.insert(bazTable.create({ password: 'password' }))).to.throw(/returned a promise/);
+    });
+
+    it('should run after hook with write result', async () => {
+      const foo = fooTable.create({ name: 'FOO' });
+      await fooTable.insert(foo).run(connection);
+      await fooTable.run(fooTable.update(foo.id, { name: 'BAR' }), { connection });
+      expect(events).to.deep.include.members([['afterUpdate', foo.id, 1]]);
+
+      const bar = barTable.create({});
+      await barTable.insert(bar).run(connection);
+      await fooTable.run(fooTable.createRelation('bar', foo.id, bar.id), { connection });
+      expect(events).to.deep.include.members([['afterCreateRelation', 'bar']]);
+    });
+
+    it('should not run after hook when query is run by itself', async () => {
+      const foo = fooTable.create({ name: 'FOO' });
+      await fooTable.insert(foo).run(connection);
+      await fooTable.update(foo.id, { name: 'BAZ' }).run(connection);
+      expect(events).to.not.deep.include.members([['afterUpdate', foo.id, 1]]);
+    });
+
+    it('should reject with write result when after hook throws error', async () => {
+      const bazTable = new Table({
+        tableName: 'baz',
+        schema: () => ({
+          ...schema,
+        }),
+        hooks: {
+          afterInsert: () => { throw new Error('failed'); },
+        },
+      });
+      await bazTable.sync(connection);
+
+      let error;
+      await bazTable.run(bazTable.insert(bazTable.create({})), { connection }).catch(err => { error = err; });
+      expect(error.message).to.match(/failed$/);
+      expect(error.result).to.have.property('inserted', 1);
+    });
+
+    it('should throw error when unsupported hook is given', () => {
+      expect(() => fooTable.on('beforeNothing', () => {})).to.throw(Error);
+    });
+  });
+
   describe('relation', () => {
     let fooTable;
     let barTable;
@@ -466,13 +1103,14 @@ describe('Table', () => {
         await fooTable.insert(foo).run(connection);
         await barTable.insert(bar).run(connection);
 
+        const storedBar = await barTable.get(bar.id).run(connection);
         let query = fooTable.get(foo.id);
         query = await fooTable.withJoin(query, { bar: true });
         const fetchedfoo = await query.run(connection);
-        expect(bar).to.deep.equal(fetchedfoo.bar);
+        expect(fetchedfoo.bar).to.deep.equal(storedBar);
 
         const fetchedBar = await fooTable.getRelated(foo.id, 'bar').run(connection);
-        expect(bar).to.deep.equal(fetchedBar);
+        expect(fetchedBar).to.deep.equal(storedBar);
       });
     });
 
@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import formatPlan from '../formatPlan';
+
+
+describe('formatPlan', () => {
+  it('should format changes of each table', () => {
+    const plan = {
+      foo: {
+        db: 'main',
+        createDb: true,
+        createTable: true,
+        createIndexTable: true,
+        indexTableName: '_indexes',
+        config: {},
+        indexes: { create: ['name'], rebuild: [], record: [], drop: [], changed: [], unverified: [], orphaned: [] },
+      },
+      bar: {
+        createDb: false,
+        createTable: false,
+        config: { shards: { current: 1, declared: 2 } },
+        indexes: {
+          create: [], rebuild: ['value'], record: ['kept'], drop: ['stale'],
+          changed: ['slug'], unverified: ['legacy'], orphaned: ['old'],
+        },
+      },
+      baz: {
+        createDb: false,
+        createTable: false,
+        config: {},
+        indexes: { create: [], rebuild: [], record: [], drop: [], changed: [], unverified: [], orphaned: [] },
+      },
+    };
+
+    expect(formatPlan(plan)).to.equal([
+      'main.foo',
+      '  + create database',
+      '  + create table',
+      '  + create table _indexes for index records',
+      '  + create index name',
+      'bar',
+      '  ~ reconfigure shards 1 -> 2',
+      '  ~ rebuild index value',
+      '  ~ record index kept as declared',
+      '  - drop index stale',
+      '  ! index slug has changed (rebuild: false)',
+      '  ? index legacy is not verified (rebuild: false, recordUnverified: false)',
+      '  ! index old is not declared (dropOrphans: false)',
+    ].join('\n'));
+  });
+
+  it('should tell when there is nothing to do', () => {
+    expect(formatPlan({})).to.equal('No changes.');
+  });
+});
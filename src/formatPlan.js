@@ -0,0 +1,29 @@
+import _ from 'lodash';
+
+function formatTablePlan(tablePlan, tableName) {
+  const { db, createDb, createTable, createIndexTable, indexTableName, config, indexes } = tablePlan;
+  const lines = [
+    ...(createDb ? ['  + create database'] : []),
+    ...(createTable ? ['  + create table'] : []),
+    ...(createIndexTable ? [`  + create table ${indexTableName} for index records`] : []),
+    ..._.map(config, ({ current, declared }, key) => `  ~ reconfigure ${key} ${current} -> ${declared}`),
+    ..._.map(indexes.create, indexName => `  + create index ${indexName}`),
+    ..._.map(indexes.rebuild, indexName => `  ~ rebuild index ${indexName}`),
+    ..._.map(indexes.record, indexName => `  ~ record index ${indexName} as declared`),
+    ..._.map(indexes.drop, indexName => `  - drop index ${indexName}`),
+    ..._.map(indexes.changed, indexName => `  ! index ${indexName} has changed (rebuild: false)`),
+    ..._.map(indexes.unverified, indexName => `  ? index ${indexName} is not verified (rebuild: false, recordUnverified: false)`),
+    ..._.map(indexes.orphaned, indexName => `  ! index ${indexName} is not declared (dropOrphans: false)`),
+  ];
+  if (_.isEmpty(lines)) return null;
+  return [db ? `${db}.${tableName}` : tableName, ...lines].join('\n');
+}
+
+export default function formatPlan(plan) {
+  const tables = _.chain(plan)
+    .map(formatTablePlan)
+    .compact()
+    .value();
+  if (_.isEmpty(tables)) return 'No changes.';
+  return tables.join('\n');
+}
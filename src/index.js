@@ -1,5 +1,8 @@
 export Table from './Table';
 export Environment from './Environment';
+export formatPlan from './formatPlan';
 export * from './relations';
+export Pool from './Pool';
+export Loader from './Loader';
 export Link from './Link';
 export schema from './schema';
@@ -1,4 +1,5 @@
 import r from 'rethinkdb';
+import Joi from 'joi';
 import { expect } from 'chai';
 import Table from '../../Table';
 import schema from '../../schema';
@@ -43,16 +44,105 @@ describe('relation - belongsTo', () => {
       const bar = barTable.create({});
       const foo = fooTable.create({ barId: bar.id });
 
-      await fooTable.insert(foo).run(connection);
       await barTable.insert(bar).run(connection);
+      await fooTable.insert(foo).run(connection);
 
+      const storedBar = await barTable.get(bar.id).run(connection);
       let query = fooTable.get(foo.id);
       query = fooTable.withJoin(query, { bar: true });
       const fetchedfoo = await query.run(connection);
-      expect(bar).to.deep.equal(fetchedfoo.bar);
+      expect(fetchedfoo.bar).to.deep.equal(storedBar);
 
       const fetchedBar = await fooTable.getRelated(foo.id, 'bar').run(connection);
-      expect(bar).to.deep.equal(fetchedBar);
+      expect(fetchedBar).to.deep.equal(storedBar);
+    });
+  });
+
+  describe('whereHas & whereDoesntHave', () => {
+    it('should filter rows by related row', async () => {
+      const bar = barTable.create({});
+      const foo1 = fooTable.create({ barId: bar.id });
+      const foo2 = fooTable.create({});
+
+      await barTable.insert(bar).run(connection);
+      await fooTable.insert([foo1, foo2]).run(connection);
+
+      const query = fooTable.query().getAll(foo1.id, foo2.id);
+      const foosWithBar = await fooTable.whereHas(query, 'bar').coerceTo('array').run(connection);
+      expect(foosWithBar.map(foo => foo.id)).to.deep.equal([foo1.id]);
+
+      const foosWithOtherBar = await fooTable.whereHas(query, 'bar', related => related.filter({ id: 'other' }))
+        .coerceTo('array').run(connection);
+      expect(foosWithOtherBar).to.have.length(0);
+
+      const foosWithoutBar = await fooTable.whereDoesntHave(query, 'bar').coerceTo('array').run(connection);
+      expect(foosWithoutBar.map(foo => foo.id)).to.deep.equal([foo2.id]);
+    });
+  });
+
+  describe('getRelatedConnection', () => {
+    it('should return connection of related row', async () => {
+      const bar = barTable.create({});
+      const foo = fooTable.create({ barId: bar.id });
+      await barTable.insert(bar).run(connection);
+      await fooTable.insert(foo).run(connection);
+
+      const relatedConnection = await fooTable.getRelatedConnection(foo.id, 'bar', { first: 10, connection });
+      expect(relatedConnection.totalCount).to.equal(1);
+      expect(relatedConnection.edges).to.have.length(1);
+      expect(relatedConnection.edges[0].node).to.have.property('id', bar.id);
+      expect(relatedConnection.edges[0].cursor).to.be.a('string');
+      expect(relatedConnection.pageInfo).to.include({ hasNextPage: false, hasPreviousPage: false });
+    });
+  });
+
+  describe('referential integrity', () => {
+    it('should throw error if referenced row does not exist', async () => {
+      const foo = fooTable.create({ barId: 'nothing' });
+
+      let error;
+      await fooTable.insert(foo).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+      expect(error.msg).to.contain('"barId" field references "bar" table');
+      expect(await fooTable.get(foo.id).run(connection)).to.be.null;
+    });
+
+    it('should throw error if referenced row of update does not exist', async () => {
+      const foo = fooTable.create({});
+      await fooTable.insert(foo).run(connection);
+
+      let error;
+      await fooTable.update(foo.id, { barId: 'nothing' }).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+    });
+
+    it('should throw error when referenced field has no index', () => {
+      const codeTable = new Table({
+        tableName: 'code',
+        schema: () => ({
+          ...schema,
+          code: Joi.string(),
+          indexedCode: Joi.string().meta({ index: true }),
+        }),
+      });
+      const usageTable = new Table({
+        tableName: 'usage',
+        schema: () => ({
+          ...schema,
+          code: codeTable.getForeignKey({ fieldName: 'code' }),
+        }),
+      });
+      const indexedUsageTable = new Table({
+        tableName: 'indexedUsage',
+        schema: () => ({
+          ...schema,
+          code: codeTable.getForeignKey({ fieldName: 'indexedCode' }),
+        }),
+      });
+      expect(() => usageTable.getSchema()).to.throw(/should be the primary key or indexed/);
+      expect(indexedUsageTable.getReferences()).to.deep.equal([{ fieldName: 'code', table: codeTable, field: 'indexedCode' }]);
     });
   });
 
@@ -97,26 +97,28 @@ describe('relation - belongsToMany', () => {
       await fooTable.insert(foo).run(connection);
       await barTable.insert(bar).run(connection);
       await foobarTable.insert(foobar).run(connection);
+      const storedFoo = await fooTable.get(foo.id).run(connection);
+      const storedBar = await barTable.get(bar.id).run(connection);
 
       let query = fooTable.get(foo.id);
       query = fooTable.withJoin(query, { bars: true });
       const fetchedfoo = await query.run(connection);
       expect(fetchedfoo.bars).to.have.length(1);
 
-      expect(bar).to.deep.equal(fetchedfoo.bars[0]);
+      expect(fetchedfoo.bars[0]).to.deep.equal(storedBar);
       const fetchedBars = await fooTable.getRelated(foo.id, 'bars').run(connection);
       expect(fetchedBars).to.have.length(1);
-      expect(bar).to.deep.equal(fetchedBars[0]);
+      expect(fetchedBars[0]).to.deep.equal(storedBar);
 
       query = barTable.get(bar.id);
       query = barTable.withJoin(query, { foos: true });
       const fetchedbarTable = await query.run(connection);
       expect(fetchedbarTable.foos).to.have.length(1);
-      expect(foo).to.deep.equal(fetchedbarTable.foos[0]);
+      expect(fetchedbarTable.foos[0]).to.deep.equal(storedFoo);
 
       const fetchedFoos = await barTable.getRelated(bar.id, 'foos').run(connection);
       expect(fetchedFoos).to.have.length(1);
-      expect(foo).to.deep.equal(fetchedFoos[0]);
+      expect(fetchedFoos[0]).to.deep.equal(storedFoo);
     });
 
     it('should join SELECTION type query', async () => {
@@ -153,30 +155,65 @@ describe('relation - belongsToMany', () => {
       await barTable.insert([bar1, bar2]).run(connection);
       await foobarTable.insert(foobarTable.create({ id: '1', fooId: foo.id, barId: bar1.id })).run(connection);
       await foobarTable.insert(foobarTable.create({ id: '2', fooId: foo.id, barId: bar2.id })).run(connection);
+      const storedBar1 = await barTable.get(bar1.id).run(connection);
+      const storedBar2 = await barTable.get(bar2.id).run(connection);
 
       const fetchedBars1 = await fooTable.getRelated(foo.id, 'bars', {
         _apply: query => query.filter({ barId: bar1.id }),
       }).run(connection);
       expect(fetchedBars1).to.have.length(1);
-      expect(fetchedBars1[0]).to.deep.equal(bar1);
+      expect(fetchedBars1[0]).to.deep.equal(storedBar1);
 
       const fetchedBars2 = await fooTable.getRelated(foo.id, 'bars', {
         _apply: query => query.filter({ barId: bar2.id }),
       }).run(connection);
       expect(fetchedBars2).to.have.length(1);
-      expect(fetchedBars2[0]).to.deep.equal(bar2);
+      expect(fetchedBars2[0]).to.deep.equal(storedBar2);
 
       const fetchedBars3 = await fooTable.getRelated(foo.id, 'bars', {
         _apply: query => query.orderBy(r.asc('id')),
       }).run(connection);
       expect(fetchedBars3).to.have.length(2);
-      expect(fetchedBars3[0]).to.deep.equal(bar1);
+      expect(fetchedBars3[0]).to.deep.equal(storedBar1);
 
       const fetchedBars4 = await fooTable.getRelated(foo.id, 'bars', {
         _apply: query => query.orderBy(r.desc('id')),
       }).run(connection);
       expect(fetchedBars4).to.have.length(2);
-      expect(fetchedBars4[0]).to.deep.equal(bar1);
+      expect(fetchedBars4[0]).to.deep.equal(storedBar1);
+    });
+  });
+
+  describe('whereHas & whereDoesntHave', () => {
+    it('should filter rows by related rows', async () => {
+      const foo1 = fooTable.create({ id: 'foo1' });
+      const foo2 = fooTable.create({ id: 'foo2' });
+      const foo3 = fooTable.create({ id: 'foo3' });
+      const bar1 = barTable.create({ id: 'bar1' });
+      const bar2 = barTable.create({ id: 'bar2' });
+
+      await fooTable.insert([foo1, foo2, foo3]).run(connection);
+      await barTable.insert([bar1, bar2]).run(connection);
+      await foobarTable.insert([
+        foobarTable.create({ fooId: foo1.id, barId: bar1.id }),
+        foobarTable.create({ fooId: foo2.id, barId: bar2.id }),
+      ]).run(connection);
+
+      const foosWithBars = await fooTable.whereHas(fooTable.query(), 'bars')
+        .orderBy('id').coerceTo('array').run(connection);
+      expect(foosWithBars.map(foo => foo.id)).to.deep.equal(['foo1', 'foo2']);
+
+      const foosWithBar1 = await fooTable.whereHas(fooTable.query(), 'bars', query => query.filter({ id: bar1.id }))
+        .coerceTo('array').run(connection);
+      expect(foosWithBar1.map(foo => foo.id)).to.deep.equal(['foo1']);
+
+      const foosWithoutBars = await fooTable.whereDoesntHave(fooTable.query(), 'bars')
+        .coerceTo('array').run(connection);
+      expect(foosWithoutBars.map(foo => foo.id)).to.deep.equal(['foo3']);
+
+      const foosWithoutBar1 = await fooTable.whereDoesntHave(fooTable.query(), 'bars', query => query.filter({ id: bar1.id }))
+        .orderBy('id').coerceTo('array').run(connection);
+      expect(foosWithoutBar1.map(foo => foo.id)).to.deep.equal(['foo2', 'foo3']);
     });
   });
 
@@ -281,6 +318,32 @@ describe('relation - belongsToMany', () => {
     });
   });
 
+  describe('onDelete', () => {
+    it('should delete link rows with cascade', async () => {
+      const cascadeFooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+        }),
+        relations: () => ({
+          bars: belongsToMany([
+            cascadeFooTable.linkedBy(foobarTable, 'fooId'),
+            foobarTable.linkTo(barTable, 'barId'),
+          ], { index: 'foobar', onDelete: 'cascade' }),
+        }),
+      });
+      const foo = cascadeFooTable.create({});
+      const bar = barTable.create({});
+      await cascadeFooTable.insert(foo).run(connection);
+      await barTable.insert(bar).run(connection);
+      await cascadeFooTable.createRelation('bars', foo.id, bar.id).run(connection);
+
+      await cascadeFooTable.delete(foo.id).run(connection);
+      expect(await foobarTable.query().filter({ fooId: foo.id }).count().run(connection)).to.equal(0);
+      expect(await barTable.get(bar.id).run(connection)).to.be.ok;
+    });
+  });
+
   describe('hasRelation', () => {
     it('should check relation', async () => {
       const foo = fooTable.create({});
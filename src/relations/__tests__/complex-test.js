@@ -59,19 +59,85 @@ describe('relation - complex', () => {
       await fooTable.insert(foo).run(connection);
       await barTable.insert(bar).run(connection);
       await bazTable.insert(baz).run(connection);
+      const storedFoo = await fooTable.get(foo.id).run(connection);
+      const storedBar = await barTable.get(bar.id).run(connection);
+      const storedBaz = await bazTable.get(baz.id).run(connection);
 
       let query = fooTable.get(foo.id);
       query = await fooTable.withJoin(query, { bar: { baz: true } });
       const result = await query.run(connection);
       expect(result).to.deep.equal({
-        ...foo,
+        ...storedFoo,
         bar: {
-          ...bar,
-          baz,
+          ...storedBar,
+          baz: storedBaz,
         },
       });
     });
 
+    it('should apply options of each level', async () => {
+      const foo = fooTable.create({});
+      const bar = barTable.create({ fooId: foo.id });
+      const baz = bazTable.create({ barId: bar.id });
+
+      await fooTable.insert(foo).run(connection);
+      await barTable.insert(bar).run(connection);
+      await bazTable.insert(baz).run(connection);
+
+      let query = fooTable.get(foo.id);
+      query = fooTable.withJoin(query, {
+        bar: {
+          _pluck: ['id'],
+          baz: { _count: true },
+        },
+      });
+      const result = await query.run(connection);
+      expect(result.bar).to.deep.equal({ id: bar.id, baz: 1 });
+
+      query = fooTable.withJoin(fooTable.get(foo.id), {
+        bar: {
+          _pluck: ['fooId'],
+          baz: { _pluck: ['barId'] },
+        },
+      });
+      expect((await query.run(connection)).bar).to.deep.equal({
+        id: bar.id,
+        fooId: foo.id,
+        baz: { barId: bar.id },
+      });
+
+      query = fooTable.withJoin(fooTable.get(foo.id), {
+        bar: { _apply: barQuery => barQuery.filter({ id: 'nothing' }), baz: true },
+      });
+      expect(await query.run(connection)).to.have.property('bar', null);
+    });
+
+    it('should project fields of each level', async () => {
+      const foo = fooTable.create({});
+      const bar = barTable.create({ fooId: foo.id });
+      const baz = bazTable.create({ barId: bar.id });
+
+      await fooTable.insert(foo).run(connection);
+      await barTable.insert(bar).run(connection);
+      await bazTable.insert(baz).run(connection);
+
+      let query = fooTable.get(foo.id);
+      query = fooTable.withJoin(query, {
+        fields: ['createdAt'],
+        bar: {
+          fields: ['fooId'],
+          baz: { fields: ['id'] },
+        },
+      });
+      const result = await query.run(connection);
+      expect(result).to.have.all.keys('id', 'createdAt', 'bar');
+      expect(result.bar).to.deep.equal({
+        id: bar.id,
+        fooId: foo.id,
+        baz: { id: baz.id },
+      });
+    });
+
     it('should handle null query', async () => {
       let query = r.expr(null);
       query = await fooTable.withJoin(query, { bar: { baz: true } });
@@ -83,12 +149,13 @@ describe('relation - complex', () => {
       const foo = fooTable.create({});
 
       await fooTable.insert(foo).run(connection);
+      const storedFoo = await fooTable.get(foo.id).run(connection);
 
       let query = fooTable.get(foo.id);
       query = await fooTable.withJoin(query, { bar: { baz: true } });
       const result = await query.run(connection);
       expect(result).to.deep.equal({
-        ...foo,
+        ...storedFoo,
         bar: null,
       });
     });
@@ -21,6 +21,8 @@ describe('relation - hasMany', () => {
       }),
       relations: () => ({
         bars: hasMany(fooTable.linkedBy(barTable, 'fooId')),
+        lastBars: hasMany(fooTable.linkedBy(barTable, 'fooId'), { orderBy: r.desc('id'), limit: 2 }),
+        sortedBars: hasMany(fooTable.linkedBy(barTable, 'fooId'), { orderBy: [r.desc('fooId'), r.asc('id')] }),
       }),
     });
     barTable = new Table({
@@ -45,16 +47,17 @@ describe('relation - hasMany', () => {
 
       await fooTable.insert(foo).run(connection);
       await barTable.insert(bar).run(connection);
+      const storedBar = await barTable.get(bar.id).run(connection);
 
       let query = fooTable.get(foo.id);
       query = fooTable.withJoin(query, { bars: true });
       const fetchedfoo = await query.run(connection);
       expect(fetchedfoo.bars).to.have.length(1);
-      expect(bar).to.deep.equal(fetchedfoo.bars[0]);
+      expect(fetchedfoo.bars[0]).to.deep.equal(storedBar);
 
       const fetchedBars = await fooTable.getRelated(foo.id, 'bars').run(connection);
       expect(fetchedBars).to.have.length(1);
-      expect(bar).to.deep.equal(fetchedBars[0]);
+      expect(fetchedBars[0]).to.deep.equal(storedBar);
     });
 
     it('should join SELECTION type query', async () => {
@@ -71,6 +74,144 @@ describe('relation - hasMany', () => {
     });
   });
 
+  describe('default query options', () => {
+    it('should order & limit related rows', async () => {
+      const foo = fooTable.create({});
+      const bars = [
+        barTable.create({ id: 'default1', fooId: foo.id }),
+        barTable.create({ id: 'default2', fooId: foo.id }),
+        barTable.create({ id: 'default3', fooId: foo.id }),
+      ];
+      await fooTable.insert(foo).run(connection);
+      await barTable.insert(bars).run(connection);
+
+      const lastBars = await fooTable.getRelated(foo.id, 'lastBars').run(connection);
+      expect(lastBars.map(bar => bar.id)).to.deep.equal(['default3', 'default2']);
+
+      const allBars = await fooTable.getRelated(foo.id, 'lastBars', { _limit: null }).run(connection);
+      expect(allBars.map(bar => bar.id)).to.deep.equal(['default3', 'default2', 'default1']);
+
+      const joinedFoo = await fooTable.withJoin(fooTable.get(foo.id), { lastBars: true }).run(connection);
+      expect(joinedFoo.lastBars.map(bar => bar.id)).to.deep.equal(['default3', 'default2']);
+
+      const relatedConnection = await fooTable.getRelatedConnection(foo.id, 'lastBars', { first: 3, connection });
+      expect(relatedConnection.edges.map(edge => edge.node.id)).to.deep.equal(['default3', 'default2', 'default1']);
+    });
+  });
+
+  describe('withAggregates', () => {
+    it('should aggregate related rows', async () => {
+      const foo = fooTable.create({});
+      const emptyFoo = fooTable.create({});
+      const bars = [
+        { ...barTable.create({ fooId: foo.id }), score: 1 },
+        { ...barTable.create({ fooId: foo.id }), score: 2 },
+        { ...barTable.create({ fooId: foo.id }), score: 6 },
+      ];
+      await fooTable.insert([foo, emptyFoo]).run(connection);
+      await barTable.insert(bars).run(connection);
+
+      const aggregates = {
+        barsCount: { relation: 'bars', op: 'count' },
+        lastBarsCount: { relation: 'lastBars', op: 'count' },
+        scoreSum: { relation: 'bars', op: 'sum', field: 'score' },
+        scoreAvg: { relation: 'bars', op: 'avg', field: 'score' },
+        scoreMin: { relation: 'bars', op: 'min', field: 'score' },
+        scoreMax: { relation: 'bars', op: 'max', field: 'score' },
+        hasHighScore: { relation: 'bars', op: 'exists', _filter: row => row('score').gt(5) },
+      };
+      const fetchedFoo = await fooTable.withAggregates(fooTable.get(foo.id), aggregates).run(connection);
+      expect(fetchedFoo).to.include({
+        barsCount: 3,
+        lastBarsCount: 3,
+        scoreSum: 9,
+        scoreAvg: 3,
+        scoreMin: 1,
+        scoreMax: 6,
+        hasHighScore: true,
+      });
+
+      const fetchedEmptyFoo = await fooTable.withAggregates(fooTable.get(emptyFoo.id), aggregates).run(connection);
+      expect(fetchedEmptyFoo).to.include({
+        barsCount: 0,
+        scoreSum: 0,
+        scoreAvg: null,
+        scoreMax: null,
+        hasHighScore: false,
+      });
+    });
+
+    it('should throw error when op is not supported', () => {
+      expect(() => fooTable.withAggregates(fooTable.query(), {
+        median: { relation: 'bars', op: 'median', field: 'score' },
+      })).to.throw(Error);
+    });
+  });
+
+  describe('paginateRelated', () => {
+    it('should paginate related rows', async () => {
+      const foo = fooTable.create({});
+      const bars = [
+        barTable.create({ id: 'paginate1', fooId: foo.id }),
+        barTable.create({ id: 'paginate2', fooId: foo.id }),
+        barTable.create({ id: 'paginate3', fooId: foo.id }),
+      ];
+      await fooTable.insert(foo).run(connection);
+      await barTable.insert(bars).run(connection);
+
+      const page1 = await fooTable.paginateRelated(foo.id, 'bars', { first: 2, connection });
+      expect(page1.edges.map(edge => edge.node.id)).to.deep.equal(['paginate1', 'paginate2']);
+      expect(page1.pageInfo.hasNextPage).to.be.true;
+
+      const page2 = await fooTable.paginateRelated(foo.id, 'bars', {
+        first: 2,
+        after: page1.pageInfo.endCursor,
+        connection,
+      });
+      expect(page2.edges.map(edge => edge.node.id)).to.deep.equal(['paginate3']);
+      expect(page2.pageInfo.hasNextPage).to.be.false;
+    });
+  });
+
+  describe('getRelatedConnection', () => {
+    it('should return connection with totalCount', async () => {
+      const foo = fooTable.create({});
+      const bars = [
+        barTable.create({ id: 'connection1', fooId: foo.id }),
+        barTable.create({ id: 'connection2', fooId: foo.id }),
+        barTable.create({ id: 'connection3', fooId: foo.id }),
+      ];
+      await fooTable.insert(foo).run(connection);
+      await barTable.insert(bars).run(connection);
+
+      const relatedConnection = await fooTable.getRelatedConnection(foo.id, 'bars', {
+        last: 2,
+        connection,
+      });
+      expect(relatedConnection.totalCount).to.equal(3);
+      expect(relatedConnection.edges.map(edge => edge.node.id)).to.deep.equal(['connection2', 'connection3']);
+      expect(relatedConnection.pageInfo).to.include({ hasNextPage: false, hasPreviousPage: true });
+    });
+
+    it('should throw error when orderBy of relation is not paginatable', async () => {
+      const foo = fooTable.create({});
+      const bars = [
+        barTable.create({ id: 'sorted1', fooId: foo.id }),
+        barTable.create({ id: 'sorted2', fooId: foo.id }),
+      ];
+      await fooTable.insert(foo).run(connection);
+      await barTable.insert(bars).run(connection);
+
+      expect(() => fooTable.getRelatedConnection(foo.id, 'sortedBars', { first: 2 })).to.throw(Error);
+
+      const relatedConnection = await fooTable.getRelatedConnection(foo.id, 'sortedBars', {
+        first: 2, orderBy: 'id', desc: true,
+        connection,
+      });
+      expect(relatedConnection.edges.map(edge => edge.node.id)).to.deep.equal(['sorted2', 'sorted1']);
+    });
+  });
+
   describe('createRelation', () => {
     it('should add relation', async () => {
       const foo = fooTable.create({});
@@ -123,6 +264,131 @@ describe('relation - hasMany', () => {
     });
   });
 
+  describe('onDelete', () => {
+    function createFooTable(onDelete) {
+      const onDeleteFooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+        }),
+        relations: () => ({
+          bars: hasMany(onDeleteFooTable.linkedBy(barTable, 'fooId'), { onDelete }),
+        }),
+      });
+      return onDeleteFooTable;
+    }
+
+    async function insertFooWithBar(table) {
+      const foo = table.create({});
+      const bar = barTable.create({ fooId: foo.id });
+      await table.insert(foo).run(connection);
+      await barTable.insert(bar).run(connection);
+      return { foo, bar };
+    }
+
+    it('should delete related rows with cascade', async () => {
+      const table = createFooTable('cascade');
+      const { foo, bar } = await insertFooWithBar(table);
+
+      await table.delete(foo.id).run(connection);
+      expect(await barTable.get(bar.id).run(connection)).to.be.null;
+    });
+
+    it('should set foreign key to null with setNull', async () => {
+      const table = createFooTable('setNull');
+      const { foo, bar } = await insertFooWithBar(table);
+
+      await table.delete(foo.id).run(connection);
+      expect(await barTable.get(bar.id).run(connection)).to.have.property('fooId', null);
+    });
+
+    it('should throw error with restrict', async () => {
+      const table = createFooTable('restrict');
+      const { foo } = await insertFooWithBar(table);
+
+      let error;
+      await table.delete(foo.id).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+      expect(error.msg).to.contain("'foo.bars'");
+      expect(await table.get(foo.id).run(connection)).to.be.ok;
+    });
+
+    it('should check restrict of cascaded rows before writing anything', async () => {
+      const cascadeFooTable = new Table({
+        tableName: 'foo',
+        schema: () => ({
+          ...schema,
+        }),
+        relations: () => ({
+          bars: hasMany(cascadeFooTable.linkedBy(cascadeBarTable, 'fooId'), { onDelete: 'cascade' }),
+        }),
+      });
+      const cascadeBarTable = new Table({
+        tableName: 'bar',
+        schema: () => ({
+          ...schema,
+          fooId: cascadeFooTable.getForeignKey(),
+        }),
+        relations: () => ({
+          bazs: hasMany(cascadeBarTable.linkedBy(bazTable, 'barId'), { onDelete: 'restrict' }),
+        }),
+      });
+      const bazTable = new Table({
+        tableName: 'baz',
+        schema: () => ({
+          ...schema,
+          barId: cascadeBarTable.getForeignKey(),
+        }),
+      });
+      await bazTable.sync(connection);
+
+      const foo = cascadeFooTable.create({});
+      const bar1 = cascadeBarTable.create({ fooId: foo.id });
+      const bar2 = cascadeBarTable.create({ fooId: foo.id });
+      const baz = bazTable.create({ barId: bar2.id });
+      await cascadeFooTable.insert(foo).run(connection);
+      await cascadeBarTable.insert([bar1, bar2]).run(connection);
+      await bazTable.insert(baz).run(connection);
+
+      let error;
+      await cascadeFooTable.delete(foo.id).run(connection)
+        .catch(err => { error = err; });
+      expect(error).to.be.ok;
+      expect(error.msg).to.contain("'bar.bazs'");
+      expect(await cascadeFooTable.get(foo.id).run(connection)).to.be.ok;
+      expect(await cascadeBarTable.get(bar1.id).run(connection)).to.be.ok;
+    });
+
+    it('should cascade self referencing rows', async () => {
+      const treeTable = new Table({
+        tableName: 'tree',
+        schema: () => ({
+          ...schema,
+          parentId: schema.id.allow(null).default(null),
+        }),
+        relations: () => ({
+          children: hasMany(treeTable.linkedBy(treeTable, 'parentId'), { onDelete: 'cascade' }),
+        }),
+      });
+      await treeTable.sync(connection);
+
+      const root = treeTable.create({});
+      const child = treeTable.create({ parentId: root.id });
+      const grandchild = treeTable.create({ parentId: child.id });
+      const other = treeTable.create({});
+      await treeTable.insert([root, child, grandchild, other]).run(connection);
+
+      await treeTable.delete(root.id).run(connection);
+      expect(await treeTable.query().getAll(root.id, child.id, grandchild.id).count().run(connection)).to.equal(0);
+      expect(await treeTable.get(other.id).run(connection)).to.be.ok;
+    });
+
+    it('should throw error when invalid onDelete option is given', () => {
+      expect(() => hasMany(fooTable.linkedBy(barTable, 'fooId'), { onDelete: 'nope' })).to.throw(Error);
+    });
+  });
+
   describe('hasRelation', () => {
     it('should check relation', async () => {
       const foo = fooTable.create({});
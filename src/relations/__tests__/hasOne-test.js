@@ -46,13 +46,14 @@ describe('relation - hasOne', () => {
       await fooTable.insert(foo).run(connection);
       await barTable.insert(bar).run(connection);
 
+      const storedBar = await barTable.get(bar.id).run(connection);
       let query = fooTable.get(foo.id);
       query = await fooTable.withJoin(query, { bar: true });
       const fetchedfoo = await query.run(connection);
-      expect(bar).to.deep.equal(fetchedfoo.bar);
+      expect(fetchedfoo.bar).to.deep.equal(storedBar);
 
       const fetchedBar = await fooTable.getRelated(foo.id, 'bar').run(connection);
-      expect(bar).to.deep.equal(fetchedBar);
+      expect(fetchedBar).to.deep.equal(storedBar);
     });
   });
 
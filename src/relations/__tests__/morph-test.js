@@ -0,0 +1,193 @@
+import r from 'rethinkdb';
+import Joi from 'joi';
+import { expect } from 'chai';
+import Environment from '../../Environment';
+import schema from '../../schema';
+import morphTo from '../morphTo';
+import morphMany from '../morphMany';
+
+
+describe('relation - morphTo & morphMany', () => {
+  let connection;
+  let env;
+  let commentTable;
+  let postTable;
+  let photoTable;
+  let videoTable;
+
+  before(async () => {
+    connection = await r.connect({});
+    await r.branch(r.dbList().contains('test').not(), r.dbCreate('test'), null).run(connection);
+
+    env = new Environment();
+    commentTable = env.createTable({
+      tableName: 'comment',
+      schema: () => ({
+        ...schema,
+        commentableType: Joi.string().allow(null).default(null),
+        commentableId: Joi.string().allow(null).default(null).meta({ index: true }),
+      }),
+      relations: () => ({
+        commentable: morphTo(commentTable, {
+          env,
+          typeField: 'commentableType',
+          idField: 'commentableId',
+          types: { post: 'post', photo: 'photo' },
+        }),
+      }),
+    });
+    postTable = env.createTable({
+      tableName: 'post',
+      schema: () => ({
+        ...schema,
+      }),
+      relations: () => ({
+        comments: morphMany(postTable, commentTable, {
+          typeField: 'commentableType',
+          idField: 'commentableId',
+        }),
+      }),
+    });
+    photoTable = env.createTable({
+      tableName: 'photo',
+      schema: () => ({
+        ...schema,
+      }),
+      relations: () => ({
+        comments: morphMany(photoTable, commentTable, {
+          typeField: 'commentableType',
+          idField: 'commentableId',
+          onDelete: 'cascade',
+        }),
+      }),
+    });
+    videoTable = env.createTable({
+      tableName: 'video',
+      schema: () => ({
+        ...schema,
+      }),
+      relations: () => ({
+        comments: morphMany(videoTable, commentTable, {
+          typeField: 'commentableType',
+          idField: 'commentableId',
+          onDelete: 'setNull',
+        }),
+      }),
+    });
+    await env.sync(connection);
+  });
+
+  beforeEach(async () => {
+    await commentTable.query().delete().run(connection);
+    await postTable.query().delete().run(connection);
+    await photoTable.query().delete().run(connection);
+    await videoTable.query().delete().run(connection);
+  });
+
+  after(async () => {
+    await connection.close();
+  });
+
+  describe('withJoin & getRelated', () => {
+    it('should query relation by type', async () => {
+      const post = postTable.create({ id: 'same' });
+      const photo = photoTable.create({ id: 'same' });
+      const postComment = commentTable.create({ commentableType: 'post', commentableId: post.id });
+      const photoComment = commentTable.create({ commentableType: 'photo', commentableId: photo.id });
+      const orphanComment = commentTable.create({});
+
+      await postTable.insert(post).run(connection);
+      await photoTable.insert(photo).run(connection);
+      await commentTable.insert([postComment, photoComment, orphanComment]).run(connection);
+      const storedPost = await postTable.get(post.id).run(connection);
+      const storedPhoto = await photoTable.get(photo.id).run(connection);
+      const storedPostComment = await commentTable.get(postComment.id).run(connection);
+
+      expect(await commentTable.getRelated(postComment.id, 'commentable').run(connection)).to.deep.equal(storedPost);
+      expect(await commentTable.getRelated(photoComment.id, 'commentable').run(connection)).to.deep.equal(storedPhoto);
+      expect(await commentTable.getRelated(orphanComment.id, 'commentable').run(connection)).to.be.null;
+
+      const fetchedPostComments = await postTable.getRelated(post.id, 'comments').run(connection);
+      expect(fetchedPostComments).to.deep.equal([storedPostComment]);
+
+      const fetchedPost = await postTable.withJoin(postTable.get(post.id), {
+        comments: { commentable: true },
+      }).run(connection);
+      expect(fetchedPost.comments).to.have.length(1);
+      expect(fetchedPost.comments[0].commentable).to.deep.equal(storedPost);
+
+      const fetchedComment = await commentTable.withJoin(commentTable.get(photoComment.id), {
+        fields: ['id'],
+        commentable: true,
+      }).run(connection);
+      expect(fetchedComment).to.deep.equal({
+        id: photoComment.id,
+        commentableType: 'photo',
+        commentableId: photo.id,
+        commentable: storedPhoto,
+      });
+    });
+  });
+
+  describe('createRelation & removeRelation & hasRelation', () => {
+    it('should relate rows', async () => {
+      const post = postTable.create({});
+      const photo = photoTable.create({});
+      const comment1 = commentTable.create({});
+      const comment2 = commentTable.create({});
+
+      await postTable.insert(post).run(connection);
+      await photoTable.insert(photo).run(connection);
+      await commentTable.insert([comment1, comment2]).run(connection);
+
+      await commentTable.createRelation('commentable', comment1.id, { type: 'photo', pk: photo.id }).run(connection);
+      await postTable.createRelation('comments', post.id, comment2.id).run(connection);
+
+      expect(await commentTable.hasRelation('commentable', comment1.id, { type: 'photo', pk: photo.id }).run(connection)).to.be.true;
+      expect(await commentTable.hasRelation('commentable', comment1.id, { type: 'post', pk: photo.id }).run(connection)).to.be.false;
+      expect(await postTable.hasRelation('comments', post.id, comment2.id).run(connection)).to.be.true;
+      expect(await photoTable.hasRelation('comments', photo.id, comment2.id).run(connection)).to.be.false;
+
+      await commentTable.removeRelation('commentable', comment1.id).run(connection);
+      await postTable.removeRelation('comments', post.id, comment2.id).run(connection);
+
+      expect(await commentTable.hasRelation('commentable', comment1.id, { type: 'photo', pk: photo.id }).run(connection)).to.be.false;
+      expect(await postTable.hasRelation('comments', post.id, comment2.id).run(connection)).to.be.false;
+    });
+
+    it('should throw error when type is not exist', () => {
+      expect(() => commentTable.createRelation('commentable', 'comment', { type: 'video', pk: 'video' })).to.throw(Error);
+    });
+  });
+
+  describe('onDelete', () => {
+    it('should cascade morphed rows of the type only', async () => {
+      const post = postTable.create({ id: 'same' });
+      const photo = photoTable.create({ id: 'same' });
+      const postComment = commentTable.create({ commentableType: 'post', commentableId: post.id });
+      const photoComment = commentTable.create({ commentableType: 'photo', commentableId: photo.id });
+
+      await postTable.insert(post).run(connection);
+      await photoTable.insert(photo).run(connection);
+      await commentTable.insert([postComment, photoComment]).run(connection);
+
+      await photoTable.delete(photo.id).run(connection);
+      expect(await commentTable.get(photoComment.id).run(connection)).to.be.null;
+      expect(await commentTable.get(postComment.id).run(connection)).to.not.be.null;
+    });
+
+    it('should set null both type & id of morphed rows', async () => {
+      const video = videoTable.create({});
+      const comment = commentTable.create({ commentableType: 'video', commentableId: video.id });
+
+      await videoTable.insert(video).run(connection);
+      await commentTable.insert(comment).run(connection);
+
+      await videoTable.delete(video.id).run(connection);
+      expect(await commentTable.get(comment.id).run(connection)).to.include({
+        commentableType: null,
+        commentableId: null,
+      });
+    });
+  });
+});
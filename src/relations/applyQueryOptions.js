@@ -0,0 +1,11 @@
+import _ from 'lodash';
+
+
+export default function applyQueryOptions(query, options = {}) {
+  const { filter, orderBy, limit } = options;
+  let result = query;
+  if (filter) result = result.filter(filter);
+  if (orderBy) result = result.orderBy(..._.castArray(orderBy));
+  if (!_.isNil(limit)) result = result.limit(limit);
+  return result;
+}
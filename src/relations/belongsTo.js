@@ -34,7 +34,9 @@ export default function belongsTo(link) {
       apply = query => query,
     } = options;
 
-    let query = right.table.query().getAll(index, { index: right.field });
+    let query = right.table.hideDeleted(
+      right.table.withDeleted().getAll(index, { index: right.field })
+    );
     query = apply(query);
     return r.branch(
       index,
@@ -3,6 +3,7 @@ import r from 'rethinkdb';
 import _ from 'lodash';
 import assert from 'assert';
 import Link from '../Link';
+import applyQueryOptions from './applyQueryOptions';
 
 
 export default function belongsToMany(link, options = {}) {
@@ -11,7 +12,8 @@ export default function belongsToMany(link, options = {}) {
   assert.equal(link1.constructor, Link);
   assert.equal(link2.constructor, Link);
   assert.equal(link1.left.table, link2.left.table, 'link table must be same.');
-  const { index } = options;
+  const { index, onDelete = 'noAction', orderBy, filter, limit } = options;
+  assert.ok(_.includes(['cascade', 'restrict', 'noAction'], onDelete), `invalid onDelete option: '${onDelete}'`);
   const relationTable = link[0].left.table;
 
   function getIndex(rowOrPk) {
@@ -39,9 +41,9 @@ export default function belongsToMany(link, options = {}) {
       apply = query => query,
     } = options;
 
-    let targetIdsQuery = relationTable.query()
-      .getAll(index, { index: link1.left.field })
-      .hasFields(link2.left.field);
+    let targetIdsQuery = relationTable.hideDeleted(
+      relationTable.withDeleted().getAll(index, { index: link1.left.field })
+    ).hasFields(link2.left.field);
 
     // filter, orderBy, etc...
     targetIdsQuery = apply(targetIdsQuery);
@@ -51,8 +53,13 @@ export default function belongsToMany(link, options = {}) {
     const relatedRowsQuery = targetIdsQuery.do(targetIds =>
       r.branch(
         targetIds.count().gt(0),
-        link2.right.table.query()
-          .getAll(r.args(targetIds), { index: link2.right.field }),
+        applyQueryOptions(
+          link2.right.table.hideDeleted(
+            link2.right.table.withDeleted()
+              .getAll(r.args(targetIds), { index: link2.right.field })
+          ),
+          _.defaults({}, options, { orderBy, filter, limit })
+        ),
         r.expr([])
       )
     );
@@ -76,7 +83,7 @@ export default function belongsToMany(link, options = {}) {
     }
 
     return r.branch(
-      queryRelation(onePk, otherPk).count().gt(0).not(),
+      relationTable.hideDeleted(queryRelation(onePk, otherPk)).count().gt(0).not(),
       relationTable.insert(
         relationTable.create({
           [link1.left.field]: onePk,
@@ -95,7 +102,7 @@ export default function belongsToMany(link, options = {}) {
   }
 
   function queryRelation(onePk, otherPk) {
-    let query = relationTable.query();
+    let query = relationTable.withDeleted();
 
     if (index) {
       if (_.isArray(otherPk)) {
@@ -120,8 +127,12 @@ export default function belongsToMany(link, options = {}) {
     return queryRelation(onePk, otherPk).delete();
   }
 
+  function queryDependents(row) {
+    return relationTable.withDeleted().getAll(row(link1.right.field), { index: link1.left.field });
+  }
+
   function has(onePk, otherPk) {
-    return queryRelation(onePk, otherPk).count().gt(0);
+    return relationTable.hideDeleted(queryRelation(onePk, otherPk)).count().gt(0);
   }
 
   return {
@@ -130,8 +141,16 @@ export default function belongsToMany(link, options = {}) {
     create,
     remove,
     has,
+    queryDependents,
     index: getIndex,
     link,
+    dependentTable: relationTable,
+    dependentField: link1.left.field,
+    referencedField: link1.right.field,
+    onDelete,
+    orderBy,
+    filter,
+    limit,
     targetTable: link2.right.table,
     type: 'belongsToMany',
   };
@@ -3,11 +3,14 @@ import r from 'rethinkdb';
 import _ from 'lodash';
 import assert from 'assert';
 import Link from '../Link';
+import applyQueryOptions from './applyQueryOptions';
 
 
-export default function hasMany(link) {
+export default function hasMany(link, options = {}) {
   assert.equal(link.constructor, Link);
   const { left, right } = link;
+  const { onDelete = 'noAction', orderBy, filter, limit } = options;
+  assert.ok(_.includes(['cascade', 'setNull', 'restrict', 'noAction'], onDelete), `invalid onDelete option: '${onDelete}'`);
 
   function getIndex(rowOrPk) {
     let index;
@@ -34,8 +37,10 @@ export default function hasMany(link) {
       apply = query => query,
     } = options;
 
-    let query = left.table.query();
+    let query = left.table.withDeleted();
     query = query.getAll(index, { index: left.field });
+    query = left.table.hideDeleted(query);
+    query = applyQueryOptions(query, _.defaults({}, options, { orderBy, filter, limit }));
     query = apply(query);
 
     return r.branch(
@@ -61,6 +66,10 @@ export default function hasMany(link) {
     return left.table.update(otherPk, { [left.field]: null });
   }
 
+  function queryDependents(row) {
+    return left.table.withDeleted().getAll(row(right.field), { index: left.field });
+  }
+
   function has(onePk, otherPk) {
     return right.table.get(onePk).do(rightRow =>
       left.table.get(otherPk).do(leftRow =>
@@ -77,8 +86,16 @@ export default function hasMany(link) {
     create,
     remove,
     has,
+    queryDependents,
     index: getIndex,
     link,
+    dependentTable: left.table,
+    dependentField: left.field,
+    referencedField: right.field,
+    onDelete,
+    orderBy,
+    filter,
+    limit,
     targetTable: left.table,
     type: 'hasMany',
   };
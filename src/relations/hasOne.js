@@ -3,11 +3,14 @@ import r from 'rethinkdb';
 import _ from 'lodash';
 import assert from 'assert';
 import Link from '../Link';
+import applyQueryOptions from './applyQueryOptions';
 
 
-export default function hasOne(link) {
+export default function hasOne(link, options = {}) {
   assert.equal(link.constructor, Link);
   const { left, right } = link;
+  const { onDelete = 'noAction', orderBy, filter } = options;
+  assert.ok(_.includes(['cascade', 'setNull', 'restrict', 'noAction'], onDelete), `invalid onDelete option: '${onDelete}'`);
 
   function getIndex(rowOrPk) {
     let index;
@@ -34,7 +37,11 @@ export default function hasOne(link) {
       apply = query => query,
     } = options;
 
-    let query = left.table.query().getAll(index, { index: left.field });
+    let query = left.table.hideDeleted(
+      left.table.withDeleted().getAll(index, { index: left.field })
+    );
+    // orderBy decides which row is the related one.
+    query = applyQueryOptions(query, _.defaults({}, options, { orderBy, filter }));
     query = apply(query);
     return r.branch(
       index,
@@ -59,6 +66,10 @@ export default function hasOne(link) {
     return left.table.update(otherPk, { [left.field]: null });
   }
 
+  function queryDependents(row) {
+    return left.table.withDeleted().getAll(row(right.field), { index: left.field });
+  }
+
   function has(onePk, otherPk) {
     return right.table.get(onePk).do(rightRow =>
       left.table.get(otherPk).do(leftRow =>
@@ -75,8 +86,15 @@ export default function hasOne(link) {
     create,
     remove,
     has,
+    queryDependents,
     index: getIndex,
     link,
+    dependentTable: left.table,
+    dependentField: left.field,
+    referencedField: right.field,
+    onDelete,
+    orderBy,
+    filter,
     targetTable: left.table,
     type: 'hasOne',
   };
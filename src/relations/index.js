@@ -2,3 +2,5 @@ export hasMany from './hasMany';
 export belongsTo from './belongsTo';
 export hasOne from './hasOne';
 export belongsToMany from './belongsToMany';
+export morphTo from './morphTo';
+export morphMany from './morphMany';
@@ -0,0 +1,101 @@
+/* eslint no-shadow: 0 */
+import r from 'rethinkdb';
+import _ from 'lodash';
+import assert from 'assert';
+import applyQueryOptions from './applyQueryOptions';
+
+
+export default function morphMany(table, targetTable, options = {}) {
+  const {
+    typeField, idField, type = table.tableName, index: compoundIndex,
+    onDelete = 'noAction', orderBy, filter, limit,
+  } = options;
+  targetTable.assertField(typeField);
+  targetTable.assertField(idField);
+  assert.ok(_.includes(['cascade', 'setNull', 'restrict', 'noAction'], onDelete), `invalid onDelete option: '${onDelete}'`);
+
+  function getIndex(rowOrPk) {
+    if (_.isFunction(rowOrPk)) {
+      return r.branch(
+        rowOrPk.typeOf().eq('STRING'),
+        rowOrPk,
+        rowOrPk(table.pk)
+      );
+    }
+    return rowOrPk;
+  }
+
+  // compound index is [typeField, idField].
+  function queryMorphs(index) {
+    const query = targetTable.withDeleted();
+    if (compoundIndex) return query.getAll([type, index], { index: compoundIndex });
+    return query.getAll(index, { index: idField }).filter({ [typeField]: type });
+  }
+
+  function query(index, options = {}) {
+    const {
+      apply = query => query,
+    } = options;
+
+    let query = targetTable.hideDeleted(queryMorphs(index));
+    query = applyQueryOptions(query, _.defaults({}, options, { orderBy, filter, limit }));
+    query = apply(query);
+
+    return r.branch(
+      index,
+      query,
+      r.expr([]),
+    );
+  }
+
+  function coerceType(query) {
+    return query.coerceTo('array');
+  }
+
+  function create(onePk, otherPk) {
+    return table.get(onePk).do(row =>
+      targetTable.update(otherPk, { [typeField]: type, [idField]: row(table.pk) })
+    );
+  }
+
+  function remove(onePk, otherPk) {
+    return targetTable.update(otherPk, { [typeField]: null, [idField]: null });
+  }
+
+  function queryDependents(row) {
+    return queryMorphs(row(table.pk));
+  }
+
+  function has(onePk, otherPk) {
+    return targetTable.get(otherPk).do(targetRow =>
+      targetRow.hasFields(typeField, idField).and(
+        targetRow(typeField).eq(type).and(targetRow(idField).eq(onePk))
+      )
+    );
+  }
+
+  return {
+    query,
+    coerceType,
+    create,
+    remove,
+    has,
+    queryDependents,
+    index: getIndex,
+    typeField,
+    idField,
+    morphType: type,
+    joinFields: [table.pk],
+    dependentTable: targetTable,
+    dependentField: idField,
+    // setNull clears the type too, like remove.
+    dependentFields: [typeField, idField],
+    referencedField: table.pk,
+    onDelete,
+    orderBy,
+    filter,
+    limit,
+    targetTable,
+    type: 'morphMany',
+  };
+}
@@ -0,0 +1,100 @@
+/* eslint no-shadow: 0 */
+import r from 'rethinkdb';
+import _ from 'lodash';
+import assert from 'assert';
+
+
+export default function morphTo(table, options = {}) {
+  const { env, typeField, idField, types } = options;
+  assert.ok(env, 'morphTo needs environment.');
+  table.assertField(typeField);
+  table.assertField(idField);
+
+  // type values map to table names. without types, the type is the table name.
+  function getTargetTables() {
+    if (!types) return _.keyBy(env.getAllTables(), 'tableName');
+    return _.mapValues(types, tableName => {
+      const targetTable = env.getTable(tableName);
+      assert.ok(targetTable, `Table '${tableName}' is not exist.`);
+      return targetTable;
+    });
+  }
+
+  function getTargetTable(type) {
+    const targetTable = getTargetTables()[type];
+    assert.ok(targetTable, `Type '${type}' of '${table.tableName}.${typeField}' is not exist.`);
+    return targetTable;
+  }
+
+  function getIndex(rowOrPk) {
+    let row;
+    if (_.isFunction(rowOrPk)) {
+      row = r.branch(
+        rowOrPk.typeOf().eq('STRING'),
+        table.get(rowOrPk),
+        rowOrPk
+      );
+    }
+    else {
+      row = table.get(rowOrPk);
+    }
+    return row.do(row => r.expr([row(typeField), row(idField)])).default(null);
+  }
+
+  function query(index, options = {}) {
+    const {
+      apply = query => query,
+    } = options;
+
+    return index.do(index => r.branch(
+      index.eq(null).or(index(1).eq(null)),
+      r.expr([]),
+      _.reduce(getTargetTables(), (elseQuery, targetTable, type) => {
+        const query = targetTable.hideDeleted(
+          targetTable.withDeleted().getAll(index(1), { index: targetTable.pk })
+        );
+        return r.branch(index(0).eq(type), apply(query), elseQuery);
+      }, r.expr([]))
+    ));
+  }
+
+  function coerceType(query) {
+    return query.nth(0).default(null);
+  }
+
+  // otherPk of morphTo is { type, pk }.
+  function create(onePk, otherPk) {
+    const { type, pk } = otherPk;
+    const targetTable = getTargetTable(type);
+    return targetTable.get(pk).do(targetRow =>
+      table.update(onePk, { [typeField]: type, [idField]: targetRow(targetTable.pk) })
+    );
+  }
+
+  function remove(onePk, /* otherPk */) {
+    return table.update(onePk, { [typeField]: null, [idField]: null });
+  }
+
+  function has(onePk, otherPk) {
+    const { type, pk } = otherPk;
+    return table.get(onePk).do(row =>
+      row.hasFields(typeField, idField).and(
+        row(typeField).eq(type).and(row(idField).eq(pk))
+      )
+    );
+  }
+
+  return {
+    query,
+    coerceType,
+    create,
+    remove,
+    has,
+    index: getIndex,
+    getTargetTable,
+    typeField,
+    idField,
+    joinFields: [typeField, idField],
+    type: 'morphTo',
+  };
+}